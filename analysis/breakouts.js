@@ -0,0 +1,154 @@
+/**
+ * Topic Breakouts — statistical spike detection over signal history
+ *
+ * Builds a per-topic time series from stored signal snapshots (one point
+ * per collection run: the share of that run's signals carrying the topic)
+ * and scores the latest run against the topic's own baseline:
+ *
+ *   baseline = EWMA mean and variance over the earlier runs (oldest first)
+ *   z        = (latest share − EWMA mean) / max(EWMA sd, MIN_SD)
+ *
+ * A topic breaks out when z ≥ BREAKOUT_Z_THRESHOLD (default 2.5) and the
+ * latest run has at least BREAKOUT_MIN_SIGNALS (default 3) signals for it.
+ * This needs no LLM and no narrative — breakouts are fed to the clustering
+ * prompt as hints and served from GET /api/breakouts.
+ */
+const { canonicalizeTopics, getTopicLabel } = require('./taxonomy');
+
+// Signal snapshots (collection runs) a topic's series is built from
+const BREAKOUT_LOOKBACK = 14;
+
+const EWMA_ALPHA = 0.3;    // weight of each newer baseline point
+const MIN_BASELINE = 3;    // earlier runs needed before anything is scored
+const MIN_SD = 0.01;       // floor on the baseline sd (1 point of share), so flat series don't explode
+
+function getThresholds() {
+  return {
+    zThreshold: parseFloat(process.env.BREAKOUT_Z_THRESHOLD) || 2.5,
+    minSignals: parseInt(process.env.BREAKOUT_MIN_SIGNALS) || 3,
+  };
+}
+
+// ==========================================
+// Series
+// ==========================================
+
+/**
+ * Topic counts for one snapshot (topics re-mapped through the current taxonomy)
+ */
+function countTopics(signals) {
+  const counts = {};
+  for (const s of signals) {
+    for (const topic of canonicalizeTopics(s.rawTopics || s.topics || []).topics) {
+      counts[topic] = (counts[topic] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * EWMA mean and variance of a series (oldest first)
+ */
+function ewma(values) {
+  let mean = values[0];
+  let variance = 0;
+  for (const x of values.slice(1)) {
+    const diff = x - mean;
+    const increment = EWMA_ALPHA * diff;
+    mean += increment;
+    variance = (1 - EWMA_ALPHA) * (variance + diff * increment);
+  }
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+// ==========================================
+// Detection
+// ==========================================
+
+/**
+ * Score every topic in the latest snapshot against its own history
+ * @param {Array} history - Signal snapshots, newest first (from loadSignalHistory)
+ * @param {Object} [options]
+ * @param {number} [options.zThreshold] - Defaults to BREAKOUT_Z_THRESHOLD
+ * @param {number} [options.minSignals] - Defaults to BREAKOUT_MIN_SIGNALS
+ * @returns {Object} { timestamp, baselineSnapshots, method, zThreshold, minSignals,
+ *   topics: [{ topic, label, count, share, baseline, z, breakout, series }] } — sorted by z
+ */
+function detectBreakouts(history, options = {}) {
+  const { zThreshold, minSignals } = { ...getThresholds(), ...options };
+  const snapshots = (history || []).filter(h => Array.isArray(h.signals) && h.signals.length > 0).reverse();
+  const result = {
+    timestamp: snapshots[snapshots.length - 1]?.timestamp || null,
+    baselineSnapshots: Math.max(snapshots.length - 1, 0),
+    method: 'ewma',
+    zThreshold,
+    minSignals,
+    topics: [],
+  };
+
+  if (snapshots.length < MIN_BASELINE + 1) {
+    console.log(`[Breakouts] Need ${MIN_BASELINE + 1} signal snapshots, have ${snapshots.length} — skipping`);
+    return result;
+  }
+
+  const points = snapshots.map(h => ({ timestamp: h.timestamp, total: h.signals.length, counts: countTopics(h.signals) }));
+  const latest = points[points.length - 1];
+  const baseline = points.slice(0, -1);
+
+  for (const [topic, count] of Object.entries(latest.counts)) {
+    const series = points.map(p => ({
+      timestamp: p.timestamp,
+      count: p.counts[topic] || 0,
+      share: (p.counts[topic] || 0) / p.total,
+    }));
+    const share = count / latest.total;
+    const { mean, sd } = ewma(series.slice(0, -1).map(p => p.share));
+    const z = (share - mean) / Math.max(sd, MIN_SD);
+
+    result.topics.push({
+      topic,
+      label: getTopicLabel(topic) || topic,
+      count,
+      share: round(share),
+      baseline: { mean: round(mean), sd: round(sd), seenIn: series.slice(0, -1).filter(p => p.count > 0).length },
+      z: Math.round(z * 100) / 100,
+      breakout: z >= zThreshold && count >= minSignals,
+      series: series.map(p => ({ ...p, share: round(p.share) })),
+    });
+  }
+
+  result.topics.sort((a, b) => b.z - a.z || b.count - a.count);
+  const breakouts = result.topics.filter(t => t.breakout);
+  console.log(`[Breakouts] ${breakouts.length} breakout topics across ${baseline.length + 1} snapshots${breakouts.length ? `: ${breakouts.slice(0, 5).map(t => `${t.topic} (z=${t.z})`).join(', ')}` : ''}`);
+
+  return result;
+}
+
+/**
+ * Prompt section describing the breakouts (empty string when there are none)
+ */
+function formatBreakoutHints(breakouts) {
+  if (!breakouts || breakouts.length === 0) return '';
+
+  const lines = breakouts.slice(0, 10).map(t =>
+    `- ${t.topic}: ${t.count} signals in the latest collection (${pct(t.share)} of signals vs ${pct(t.baseline.mean)} baseline, z=${t.z})`
+  );
+  return `## Statistical Breakouts
+Topics whose share of signals spiked in the latest collection compared with their own history. They are hints, not narratives — use them only where the digest supports it, and consider whether a breakout is the start of a narrative nobody has named yet:
+${lines.join('\n')}`;
+}
+
+function pct(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+module.exports = {
+  BREAKOUT_LOOKBACK,
+  countTopics,
+  detectBreakouts,
+  formatBreakoutHints,
+};
@@ -3,29 +3,57 @@
  * 
  * For each detected narrative, generates 3-5 specific, actionable
  * product ideas that could be built on Solana.
+ *
+ * The prompt lists ideas already proposed for the narrative's lineage (and
+ * earlier in the run) and existing GitHub projects, and every idea is then
+ * checked for novelty (see idea-novelty.js). Ideas repeating an earlier one
+ * are regenerated once (IDEA_REGENERATE=false to only flag them).
  */
-const { askGrokForJson } = require('../services/grok');
+const { askGrokForValidJson } = require('../services/grok');
+const { BUILD_IDEAS_SCHEMA } = require('../services/schemas');
+const { buildNoveltyIndex, checkIdeaNovelty, addToIndex, relatedRepos } = require('./idea-novelty');
+
+const MAX_AVOID = 15;           // already-proposed ideas listed in the prompt
+const MAX_EXISTING = 5;         // existing projects listed in the prompt
+
+function regenerationEnabled() {
+  return process.env.IDEA_REGENERATE !== 'false';
+}
 
 /**
  * Generate build ideas for a set of scored narratives
  * @param {Array} narratives - Scored narratives from scoring pipeline
- * @returns {Promise<Array>} Narratives enriched with build ideas
+ * @param {Object} [options]
+ * @param {Array} [options.history] - Narrative snapshots, newest first — earlier ideas to check against
+ * @param {Array} [options.signals] - Current signal window — GitHub repos to check against
+ * @param {Function} [options.onNarrative] - Called after each narrative with { narrative, index, total, ideaCount, ... }
+ * @returns {Promise<Array>} Narratives enriched with build ideas (each with novelty, similar, repeated)
  */
-async function generateBuildIdeas(narratives) {
+async function generateBuildIdeas(narratives, { history = [], signals = [], onNarrative = () => {} } = {}) {
   console.log(`[BuildIdeas] Generating build ideas for ${narratives.length} narratives...`);
 
+  const index = buildNoveltyIndex(history, signals);
+  const timestamp = new Date().toISOString();
+  console.log(`[BuildIdeas] Checking novelty against ${index.ideas.length} earlier ideas and ${index.repos.length} GitHub repos`);
+
   const enriched = [];
 
-  for (const narrative of narratives) {
+  for (const [position, narrative] of narratives.entries()) {
+    const progress = { narrative: narrative.name, index: position + 1, total: narratives.length };
     try {
-      const ideas = await generateIdeasForNarrative(narrative);
+      const { ideas, regenerated } = await generateNovelIdeas(narrative, index);
+      for (const idea of ideas) addToIndex(index, idea, narrative, timestamp);
+
       enriched.push({
         ...narrative,
         buildIdeas: ideas,
       });
-      console.log(`[BuildIdeas] "${narrative.name}": ${ideas.length} ideas generated`);
+      const repeated = ideas.filter(i => i.repeated).length;
+      console.log(`[BuildIdeas] "${narrative.name}": ${ideas.length} ideas generated${regenerated ? `, ${regenerated} regenerated` : ''}${repeated ? `, ${repeated} still repeated` : ''}`);
+      onNarrative({ ...progress, ideaCount: ideas.length, regenerated, repeated });
     } catch (err) {
       console.error(`[BuildIdeas] Error for "${narrative.name}":`, err.message);
+      onNarrative({ ...progress, ideaCount: 0, error: err.message });
       enriched.push({
         ...narrative,
         buildIdeas: [],
@@ -39,11 +67,58 @@ async function generateBuildIdeas(narratives) {
   return enriched;
 }
 
+/**
+ * Generate ideas for a narrative, check their novelty and regenerate repeats once
+ * @returns {Promise<Object>} { ideas, regenerated }
+ */
+async function generateNovelIdeas(narrative, index) {
+  const lineageId = narrative.lineage?.id;
+  const avoid = index.ideas
+    .filter(entry => entry.currentRun || (lineageId && entry.lineageIds.includes(lineageId)))
+    .map(entry => entry.idea);
+  const existing = relatedRepos(narrative, index, MAX_EXISTING);
+
+  const check = ideas => ideas.map(idea => ({ ...idea, ...checkIdeaNovelty(idea, index) }));
+  const ideas = check(await generateIdeasForNarrative(narrative, { avoid, existing }));
+
+  const repeats = ideas.filter(i => i.repeated);
+  if (repeats.length === 0 || !regenerationEnabled()) return { ideas, regenerated: 0 };
+
+  console.log(`[BuildIdeas] "${narrative.name}": ${repeats.length} ideas repeat earlier ones — regenerating`);
+  const replacements = check(await generateIdeasForNarrative(narrative, {
+    avoid: [...avoid, ...ideas],
+    existing,
+    count: repeats.length,
+  })).filter(i => !i.repeated);
+
+  let regenerated = 0;
+  const result = ideas.map(idea => {
+    if (!idea.repeated || replacements.length === 0) return idea;
+    regenerated++;
+    return { ...replacements.shift(), regenerated: true };
+  });
+  return { ideas: result, regenerated };
+}
+
 /**
  * Generate ideas for a single narrative
+ * @param {Object} narrative
+ * @param {Object} [options]
+ * @param {Array} [options.avoid] - Ideas already proposed (listed so they are not repeated)
+ * @param {Array} [options.existing] - Existing projects (GitHub repos) to differ from
+ * @param {number} [options.count] - Exact number of ideas (default 3-5)
  */
-async function generateIdeasForNarrative(narrative) {
-  const prompt = `You are a Solana product strategist. Generate 3-5 concrete product ideas for this emerging narrative.
+async function generateIdeasForNarrative(narrative, { avoid = [], existing = [], count } = {}) {
+  const avoidSection = avoid.length > 0 ? `
+## Already Proposed — do not repeat these or close variants
+${avoid.slice(0, MAX_AVOID).map(i => `- ${i.name}: ${i.oneLiner}`).join('\n')}
+` : '';
+  const existingSection = existing.length > 0 ? `
+## Existing Projects — ideas must differ from what these already do
+${existing.map(r => `- ${r.name}${r.stars ? ` (${r.stars}★)` : ''}: ${r.description.substring(0, 160)}`).join('\n')}
+` : '';
+
+  const prompt = `You are a Solana product strategist. Generate ${count ? `exactly ${count}` : '3-5'} concrete product ideas for this emerging narrative.
 
 ## Narrative
 **${narrative.name}**
@@ -54,7 +129,7 @@ ${(narrative.evidence || []).map(e => `- ${e}`).join('\n')}
 
 ## Stage: ${narrative.stage || 'emerging'}
 ## Confidence: ${(narrative.confidence || 0.5) * 100}%
-
+${avoidSection}${existingSection}
 ## Requirements for each idea:
 1. Must be buildable on Solana specifically (leverage Solana's speed, low fees, or ecosystem)
 2. Must be CONCRETE — not vague ("build a dashboard" is vague; "real-time DEX aggregator that surfaces new token launches with AI risk scoring" is concrete)
@@ -78,12 +153,13 @@ Return JSON:
   ]
 }`;
 
-  const result = await askGrokForJson({
+  const result = await askGrokForValidJson({
     prompt,
     systemInstruction: 'You are a Solana product strategist generating specific, actionable build ideas. Return ONLY valid JSON. Be creative but practical.',
+    schema: BUILD_IDEAS_SCHEMA,
   });
 
-  if (!result?.ideas || !Array.isArray(result.ideas)) {
+  if (!result) {
     return [];
   }
 
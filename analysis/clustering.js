@@ -3,22 +3,71 @@
  * 
  * Uses Grok to intelligently cluster normalized signals into
  * coherent narratives / themes that are emerging in the Solana ecosystem.
+ *
+ * Modes (CLUSTERING_MODE, or per run):
+ * - llm (default)  — LLM clustering; falls back to algorithmic when the
+ *                    provider errors out or returns nothing usable
+ * - algorithmic    — deterministic clustering from the signals alone (topic
+ *                    co-occurrence graph + TF-IDF over title/text); same
+ *                    input always gives the same narratives, which makes it
+ *                    a reproducible baseline to compare the LLM output against
  */
-const { askGrokForJson } = require('../services/grok');
+const { askGrokForValidJson } = require('../services/grok');
+const { NARRATIVES_SCHEMA } = require('../services/schemas');
 const { getSignalStats } = require('./signals');
+const { canonicalizeTopics, getTopicLabel } = require('./taxonomy');
+const { formatBreakoutHints } = require('./breakouts');
+
+const CLUSTERING_MODES = ['llm', 'algorithmic'];
+
+function getClusteringMode() {
+  const mode = (process.env.CLUSTERING_MODE || 'llm').toLowerCase();
+  return CLUSTERING_MODES.includes(mode) ? mode : 'llm';
+}
+
+/**
+ * Cluster signals into narratives
+ * @param {Array} signals - Normalized signals
+ * @param {Object} [options]
+ * @param {'llm'|'algorithmic'} [options.mode] - Defaults to CLUSTERING_MODE (llm)
+ * @param {Array} [options.breakouts] - Breakout topics (detectBreakouts) passed to the LLM as hints
+ * @returns {Promise<Array>} Array of narrative clusters (each tagged with clusteringMethod)
+ */
+async function clusterNarratives(signals, { mode = getClusteringMode(), breakouts = [] } = {}) {
+  if (mode === 'algorithmic') {
+    return clusterAlgorithmically(signals);
+  }
+
+  let narratives = [];
+  try {
+    narratives = await clusterWithLlm(signals, { breakouts });
+  } catch (err) {
+    console.error('[Clustering] LLM clustering failed:', err.message);
+  }
+
+  if (narratives.length === 0) {
+    console.warn('[Clustering] Falling back to algorithmic clustering');
+    return clusterAlgorithmically(signals);
+  }
+
+  return narratives.map(n => ({ ...n, clusteringMethod: 'llm' }));
+}
 
 /**
  * Cluster signals into narratives using Grok AI
  * @param {Array} signals - Normalized signals
+ * @param {Object} [options]
+ * @param {Array} [options.breakouts] - Breakout topics to mention as hints
  * @returns {Promise<Array>} Array of narrative clusters
  */
-async function clusterNarratives(signals) {
+async function clusterWithLlm(signals, { breakouts = [] } = {}) {
   console.log(`[Clustering] Analyzing ${signals.length} signals for narrative patterns...`);
 
   const stats = getSignalStats(signals);
 
   // Prepare signal digest for the AI (summarize to fit context)
   const digest = buildSignalDigest(signals);
+  const hints = formatBreakoutHints(breakouts);
 
   const prompt = `You are an expert Solana ecosystem analyst. Analyze these signals collected over the past 14 days and identify EMERGING NARRATIVES.
 
@@ -26,7 +75,7 @@ async function clusterNarratives(signals) {
 - Total signals: ${stats.total}
 - Sources: ${JSON.stringify(stats.bySource)}
 - Top topics: ${stats.topTopics.slice(0, 15).map(t => `${t.topic} (${t.count})`).join(', ')}
-
+${hints ? `\n${hints}\n` : ''}
 ## Signal Digest
 ${digest}
 
@@ -50,6 +99,7 @@ Return JSON:
         "Specific evidence point 2",
         "Specific evidence point 3"
       ],
+      "signalIds": ["sig_abc123", "sig_def456"],
       "sources": ["social", "onchain", "github"],
       "topics": ["topic1", "topic2"],
       "stage": "emerging | accelerating | maturing",
@@ -59,25 +109,43 @@ Return JSON:
   ]
 }
 
+"signalIds" must list the [sig_…] ids of the digest lines that support the narrative — copy them exactly, never invent ids.
+
 Be rigorous. Only include narratives you have genuine signal evidence for.`;
 
-  const result = await askGrokForJson({
+  const result = await askGrokForValidJson({
     prompt,
     systemInstruction: 'You are a Solana ecosystem analyst. Identify emerging narratives from multi-source signal data. Return ONLY valid JSON.',
+    schema: NARRATIVES_SCHEMA,
   });
 
-  if (!result?.narratives || !Array.isArray(result.narratives)) {
-    console.error('[Clustering] Invalid response — no narratives array');
+  if (!result) {
+    console.error('[Clustering] Invalid response — no valid narratives array');
     return [];
   }
 
-  console.log(`[Clustering] Identified ${result.narratives.length} narratives`);
-  return result.narratives;
+  // Keep only citations of signals that actually exist, and map topics onto the
+  // taxonomy (without parents, so a "lending" narrative does not match all of DeFi)
+  const knownIds = new Set(signals.map(s => s.id));
+  let dropped = 0;
+  const narratives = result.narratives.map(n => {
+    const cited = [...new Set(n.signalIds || [])];
+    const valid = cited.filter(id => knownIds.has(id));
+    dropped += cited.length - valid.length;
+    return { ...n, topics: canonicalizeTopics(n.topics, { expandParents: false }).topics, signalIds: valid };
+  });
+  if (dropped > 0) {
+    console.warn(`[Clustering] Dropped ${dropped} cited signal ids not present in the digest`);
+  }
+
+  console.log(`[Clustering] Identified ${narratives.length} narratives`);
+  return narratives;
 }
 
 /**
  * Build a compact signal digest for the AI prompt
- * Groups signals by source and summarizes key content
+ * Groups signals by source and summarizes key content; every line starts
+ * with the signal id so the model can cite it
  */
 function buildSignalDigest(signals) {
   const sections = [];
@@ -93,19 +161,19 @@ function buildSignalDigest(signals) {
     if (kolSignals.length > 0) {
       sections.push('**KOL Posts:**');
       for (const s of kolSignals) {
-        sections.push(`- @${s.username}: ${truncate(s.text, 150)} [topics: ${s.topics.join(', ')}]`);
+        sections.push(`- [${s.id}] @${s.username}: ${truncate(s.text, 150)} [topics: ${s.topics.join(', ')}]`);
       }
     }
     if (trendingSignals.length > 0) {
       sections.push('**Trending:**');
       for (const s of trendingSignals) {
-        sections.push(`- @${s.username}: ${truncate(s.text, 150)} [${s.signalType}]`);
+        sections.push(`- [${s.id}] @${s.username}: ${truncate(s.text, 150)} [${s.signalType}]`);
       }
     }
     if (topicSignals.length > 0) {
       sections.push('**Topic Searches:**');
       for (const s of topicSignals) {
-        sections.push(`- [${s.query || s.topics.join(',')}] @${s.username}: ${truncate(s.text, 120)}`);
+        sections.push(`- [${s.id}] [${s.query || s.topics.join(',')}] @${s.username}: ${truncate(s.text, 120)}`);
       }
     }
   }
@@ -120,19 +188,19 @@ function buildSignalDigest(signals) {
 
     if (network.length > 0) {
       for (const s of network) {
-        sections.push(`- Network TPS: ${s.value}, avg slot: ${s.avgSlotTime}s`);
+        sections.push(`- [${s.id}] Network TPS: ${s.value}, avg slot: ${s.avgSlotTime}s`);
       }
     }
     if (pumpfun.length > 0) {
       sections.push('**PumpFun tokens:**');
       for (const s of pumpfun.slice(0, 10)) {
-        sections.push(`- ${s.name} ($${s.ticker}) — MC: $${s.marketCap?.toLocaleString() || 'N/A'} [${s.subSource}]`);
+        sections.push(`- [${s.id}] ${s.name} ($${s.ticker}) — MC: $${s.marketCap?.toLocaleString() || 'N/A'} [${s.subSource}]`);
       }
     }
     if (dex.length > 0) {
       sections.push('**DexScreener:**');
       for (const s of dex.slice(0, 10)) {
-        sections.push(`- ${s.name || s.address?.substring(0, 12)} [${s.subSource}]`);
+        sections.push(`- [${s.id}] ${s.name || s.address?.substring(0, 12)} [${s.subSource}]`);
       }
     }
   }
@@ -143,7 +211,7 @@ function buildSignalDigest(signals) {
     sections.push('\n### Developer Activity (GitHub)');
     const sorted = github.sort((a, b) => (b.stars || 0) - (a.stars || 0));
     for (const s of sorted.slice(0, 15)) {
-      sections.push(`- ${s.name} ⭐${s.stars || 0} — ${truncate(s.description, 100)} [${s.topics.slice(0, 3).join(', ')}]`);
+      sections.push(`- [${s.id}] ${s.name} ⭐${s.stars || 0} — ${truncate(s.description, 100)} [${s.topics.slice(0, 3).join(', ')}]`);
     }
   }
 
@@ -154,7 +222,7 @@ function buildSignalDigest(signals) {
     for (const s of research.slice(0, 10)) {
       const insight = s.keyInsight ? ` — KEY: ${s.keyInsight}` : '';
       const data = s.dataPoint ? ` [DATA: ${s.dataPoint}]` : '';
-      sections.push(`- @${s.username}: ${truncate(s.text, 120)}${insight}${data}`);
+      sections.push(`- [${s.id}] @${s.username}: ${truncate(s.text, 120)}${insight}${data}`);
     }
   }
 
@@ -166,7 +234,249 @@ function truncate(str, maxLen) {
   return str.length > maxLen ? str.substring(0, maxLen) + '...' : str;
 }
 
+// ==========================================
+// Algorithmic Clustering (no LLM)
+// ==========================================
+
+const ALGO = {
+  minTopicSignals: 2,     // topics seen fewer times are noise
+  minCooccurrence: 2,     // signals two topics must share to be linked
+  minAssociation: 0.2,    // Jaccard of two topics' signal sets to be linked
+  minClusterSignals: 3,   // smaller clusters are dropped
+  maxTopicsPerCluster: 6,
+  attachSimilarity: 0.15, // TF-IDF cosine to pull topic-less signals into a cluster
+  maxNarratives: 8,
+};
+
+const KNOWN_SOURCES = ['social', 'onchain', 'github', 'research'];
+
+const TEXT_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'has', 'have',
+  'had', 'its', 'our', 'your', 'their', 'you', 'they', 'them', 'will', 'can', 'not', 'but',
+  'all', 'any', 'more', 'most', 'just', 'now', 'new', 'about', 'into', 'out', 'over', 'than',
+  'then', 'what', 'when', 'who', 'how', 'why', 'which', 'also', 'been', 'being', 'one', 'get',
+  'https', 'http', 'www', 'com', 'amp', 'solana', 'sol',
+]);
+
+function textTokens(signal) {
+  return `${signal.title || ''} ${signal.text || ''}`
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 2 && !TEXT_STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+/**
+ * TF-IDF vectors (Map term → weight, L2-normalized) for every signal
+ */
+function buildTfIdf(signals) {
+  const docs = signals.map(textTokens);
+  const df = new Map();
+  for (const tokens of docs) {
+    for (const t of new Set(tokens)) df.set(t, (df.get(t) || 0) + 1);
+  }
+
+  return docs.map(tokens => {
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+
+    const vec = new Map();
+    let norm = 0;
+    for (const [t, count] of tf) {
+      const w = (count / tokens.length) * Math.log(1 + signals.length / df.get(t));
+      vec.set(t, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [t, w] of vec) vec.set(t, w / norm);
+    return vec;
+  });
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  for (const [t, w] of small) dot += w * (large.get(t) || 0);
+  return dot;
+}
+
+function centroid(vectors) {
+  const sum = new Map();
+  for (const vec of vectors) {
+    for (const [t, w] of vec) sum.set(t, (sum.get(t) || 0) + w);
+  }
+  let norm = 0;
+  for (const w of sum.values()) norm += w * w;
+  norm = Math.sqrt(norm) || 1;
+  for (const [t, w] of sum) sum.set(t, w / norm);
+  return sum;
+}
+
+/** Deterministic ordering: higher count first, then alphabetical */
+const byCountThenName = (counts) => (a, b) => (counts.get(b) - counts.get(a)) || a.localeCompare(b);
+
+/**
+ * Group topics into themes: the most frequent unassigned topic seeds a
+ * theme and pulls in the unassigned topics strongly associated with it
+ */
+function groupTopics(signals) {
+  const topicSignals = new Map(); // topic → Set of signal indexes
+  signals.forEach((s, i) => {
+    for (const t of new Set((s.topics || []).map(t => t.toLowerCase()))) {
+      if (!topicSignals.has(t)) topicSignals.set(t, new Set());
+      topicSignals.get(t).add(i);
+    }
+  });
+
+  const counts = new Map([...topicSignals].map(([t, set]) => [t, set.size]));
+  const topics = [...topicSignals.keys()]
+    .filter(t => counts.get(t) >= ALGO.minTopicSignals)
+    .sort(byCountThenName(counts));
+
+  const association = (a, b) => {
+    const sa = topicSignals.get(a);
+    const sb = topicSignals.get(b);
+    let shared = 0;
+    for (const i of sa) if (sb.has(i)) shared++;
+    if (shared < ALGO.minCooccurrence) return 0;
+    return shared / (sa.size + sb.size - shared);
+  };
+
+  const assigned = new Set();
+  const groups = [];
+  for (const seed of topics) {
+    if (assigned.has(seed)) continue;
+    assigned.add(seed);
+
+    const members = [seed];
+    for (const other of topics) {
+      if (assigned.has(other)) continue;
+      if (association(seed, other) >= ALGO.minAssociation) {
+        members.push(other);
+        assigned.add(other);
+      }
+    }
+    groups.push(members);
+  }
+
+  return { groups, topicSignals, counts };
+}
+
+/** Taxonomy label, else "ai_agents" → "AI Agents" (short tokens are usually acronyms: AI, SDK, RWA, DEX) */
+function topicLabel(topic) {
+  return getTopicLabel(topic) || topic
+    .split(/[_\s]+/)
+    .filter(Boolean)
+    .map(w => (w.length <= 3 ? w.toUpperCase() : w[0].toUpperCase() + w.slice(1)))
+    .join(' ');
+}
+
+/**
+ * Derive stage & velocity from when the cluster's signals were dated
+ */
+function timingOf(members, newest, oldest) {
+  const span = Math.max(newest - oldest, 1);
+  const times = members.map(s => new Date(s.date).getTime()).filter(t => !Number.isNaN(t));
+  if (times.length === 0) return { stage: 'emerging', velocity: 'stable' };
+
+  const recentShare = times.filter(t => t >= newest - span / 3).length / times.length;
+  const newerHalf = times.filter(t => t >= newest - span / 2).length;
+  const olderHalf = times.length - newerHalf;
+
+  const stage = recentShare >= 0.6 ? 'emerging' : recentShare >= 0.3 ? 'accelerating' : 'maturing';
+  const ratio = (newerHalf + 1) / (olderHalf + 1);
+  const velocity = ratio > 1.25 ? 'rising' : ratio < 0.8 ? 'declining' : 'stable';
+  return { stage, velocity };
+}
+
+/**
+ * Cluster signals without an LLM
+ * @param {Array} signals - Normalized signals
+ * @returns {Array} Narratives in the same shape as the LLM output
+ */
+function clusterAlgorithmically(signals) {
+  console.log(`[Clustering] Algorithmic clustering of ${signals.length} signals...`);
+
+  const vectors = buildTfIdf(signals);
+  const { groups, topicSignals, counts } = groupTopics(signals);
+
+  const dated = signals.map(s => new Date(s.date).getTime()).filter(t => !Number.isNaN(t));
+  const newest = dated.length ? Math.max(...dated) : Date.now();
+  const oldest = dated.length ? Math.min(...dated) : newest;
+
+  // Member signals per topic group
+  let clusters = groups.map(topics => {
+    const indexes = new Set();
+    for (const t of topics) for (const i of topicSignals.get(t)) indexes.add(i);
+    return { topics, indexes };
+  }).filter(c => c.indexes.size >= ALGO.minClusterSignals);
+
+  // Attach signals with no topics (e.g. on-chain tokens) by text similarity
+  for (const c of clusters) c.centroid = centroid([...c.indexes].map(i => vectors[i]));
+  signals.forEach((s, i) => {
+    if ((s.topics || []).length > 0) return;
+    let best = null;
+    for (const c of clusters) {
+      const sim = cosine(vectors[i], c.centroid);
+      if (sim >= ALGO.attachSimilarity && (!best || sim > best.sim)) best = { c, sim };
+    }
+    if (best) best.c.indexes.add(i);
+  });
+
+  clusters = clusters.map(c => {
+    const members = [...c.indexes].sort((a, b) => a - b).map(i => signals[i]);
+    const sources = KNOWN_SOURCES.filter(src => members.some(s => s.source === src));
+    return { ...c, members, sources, strength: members.length * (1 + sources.length) };
+  });
+  clusters.sort((a, b) => (b.strength - a.strength) || a.topics[0].localeCompare(b.topics[0]));
+
+  const narratives = clusters.filter(c => c.sources.length > 0).slice(0, ALGO.maxNarratives).map(c => {
+    const center = centroid([...c.indexes].map(i => vectors[i]));
+    const topics = [...c.topics].sort(byCountThenName(counts)).slice(0, ALGO.maxTopicsPerCluster);
+    const keyTerms = [...center.entries()]
+      .sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]))
+      .map(([t]) => t)
+      .filter(t => !topics.some(topic => topic.includes(t)))
+      .slice(0, 5);
+
+    // Evidence: the member signals closest to the cluster centre, best of each source first
+    const ranked = [...c.indexes]
+      .map(i => ({ s: signals[i], sim: cosine(vectors[i], center) }))
+      .sort((a, b) => (b.sim - a.sim) || a.s.id.localeCompare(b.s.id));
+    const leaders = c.sources.map(src => ranked.find(r => r.s.source === src));
+    const evidence = [...new Set([...leaders, ...ranked])]
+      .slice(0, 4)
+      .map(({ s }) => `[${s.source}] ${s.username && s.username !== 'unknown' ? `@${s.username}: ` : ''}${truncate(s.title && s.title !== s.text ? `${s.title} — ${s.text}` : s.text || s.title, 140)}`);
+
+    const signalIds = ranked.map(r => r.s.id);
+
+    const name = topics.length > 0
+      ? topics.slice(0, 2).map(topicLabel).join(' & ')
+      : keyTerms.slice(0, 2).map(topicLabel).join(' ');
+    const { stage, velocity } = timingOf(c.members, newest, oldest);
+
+    return {
+      id: `algo_${topics.slice(0, 3).join('_').replace(/[^a-z0-9]+/g, '_').substring(0, 48)}`,
+      name,
+      description: `${c.members.length} signals across ${c.sources.join(', ')} cluster around ${topics.map(topicLabel).join(', ')}.${keyTerms.length ? ` Recurring terms: ${keyTerms.join(', ')}.` : ''}`,
+      evidence,
+      signalIds,
+      sources: c.sources,
+      topics,
+      stage,
+      confidence: Math.round(Math.min(0.9, 0.3 + 0.1 * c.sources.length + 0.02 * c.members.length) * 100) / 100,
+      velocity,
+      clusteringMethod: 'algorithmic',
+    };
+  });
+
+  console.log(`[Clustering] Algorithmic clustering found ${narratives.length} narratives`);
+  return narratives;
+}
+
 module.exports = {
+  CLUSTERING_MODES,
   clusterNarratives,
+  clusterAlgorithmically,
   buildSignalDigest,
 };
@@ -0,0 +1,89 @@
+/**
+ * Signal Credibility — how much a single signal should count
+ *
+ * A post from a tier-1 KOL and a random trending post, or a 5-star repo and
+ * a 5,000-star one, are not the same evidence. Each signal gets a weight:
+ *
+ *   weight = tier × engagement × (1 + stars bonus) × (1 + market cap bonus)
+ *
+ * - tier        — X account tier set at collection (`accountTier`: tier1,
+ *                 tier2, research), or a per-account override
+ * - engagement  — high / medium / low
+ * - stars       — log10(1 + stars) × perLog10, capped
+ * - market cap  — log10(1 + marketCap / reference) × perLog10, capped
+ *
+ * capped at maxWeight. Weights live in config/credibility.json (or
+ * CREDIBILITY_CONFIG_PATH) and are re-read within seconds of the file
+ * changing, so they apply to stored signals too. Scoring sums them instead
+ * of counting matching signals; momentum and sentiment use them as weights.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = process.env.CREDIBILITY_CONFIG_PATH
+  || path.join(__dirname, '..', 'config', 'credibility.json');
+
+// Weights are read for every signal of every pass — stat the file at most this often
+const RECHECK_MS = 5000;
+
+let configCache = null;
+
+/**
+ * Credibility weights (re-read when the config file changes, checked at
+ * most every RECHECK_MS). While the file cannot be read, the last loaded
+ * weights stay in use — or none (every signal weighs 1) before any were loaded.
+ */
+function loadCredibilityConfig() {
+  const now = Date.now();
+  if (configCache && now - configCache.checkedAt < RECHECK_MS) return configCache.config;
+
+  try {
+    const { mtimeMs } = fs.statSync(CONFIG_PATH);
+    if (!configCache || configCache.mtimeMs !== mtimeMs) {
+      const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+      const accounts = Object.fromEntries(
+        Object.entries(config.accounts || {}).map(([name, weight]) => [name.replace(/^@/, '').toLowerCase(), weight])
+      );
+      configCache = { mtimeMs, config: { ...config, accounts } };
+    }
+  } catch (err) {
+    if (configCache?.mtimeMs !== null) {
+      console.warn(`[Credibility] Cannot read ${CONFIG_PATH} (${err.message}) — ${configCache ? 'keeping the last loaded weights' : 'every signal weighs 1'}`);
+    }
+    configCache = { mtimeMs: null, config: configCache?.config || { accounts: {} } };
+  }
+  configCache.checkedAt = now;
+  return configCache.config;
+}
+
+function logBonus(value, { perLog10 = 0, max = 0 } = {}) {
+  return value > 0 ? Math.min(Math.log10(1 + value) * perLog10, max) : 0;
+}
+
+/**
+ * Weight of a single signal
+ * @param {Object} signal - Normalized signal
+ * @returns {number}
+ */
+function credibilityWeight(signal) {
+  const config = loadCredibilityConfig();
+  const tiers = config.tiers || {};
+  const handle = signal.username ? signal.username.replace(/^@/, '').toLowerCase() : null;
+
+  const tier = (handle && config.accounts[handle])
+    ?? tiers[signal.accountTier]
+    ?? tiers.default
+    ?? 1;
+  const engagement = config.engagement?.[signal.engagement] ?? 1;
+  const stars = 1 + logBonus(signal.stars, config.stars);
+  const reference = config.marketCap?.reference || 1;
+  const marketCap = 1 + logBonus(signal.marketCap / reference, config.marketCap);
+
+  const weight = tier * engagement * stars * marketCap;
+  return Math.round(Math.min(weight, config.maxWeight || Infinity) * 100) / 100;
+}
+
+module.exports = {
+  loadCredibilityConfig,
+  credibilityWeight,
+};
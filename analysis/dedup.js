@@ -0,0 +1,295 @@
+/**
+ * Signal De-duplication — the same item found by several collectors
+ *
+ * One tweet can come back from the KOL batch, a topic search and the
+ * research collector; one repo from `new_repos` and `category_ai_agents`;
+ * one token from DexScreener and PumpFun. Each would otherwise be counted
+ * as a separate signal.
+ *
+ * Two signals are the same item when they share an identity key:
+ * - tweet:<status id>     — any x.com / twitter.com status URL
+ * - repo:<owner/name>     — GitHub full name or repo URL
+ * - token:<mint address>  — on-chain signals
+ * - url:<canonical url>   — any other URL that points at one piece of
+ *                           content (no scheme, www, fragment, tracking
+ *                           params or trailing slash); bare hosts and
+ *                           profile / channel pages are not identities
+ * or when their text is a near-duplicate: 64-bit SimHash over word
+ * bigrams within NEAR_DUP_BITS bits (same author, when both are known).
+ *
+ * Duplicates are merged into one signal that keeps every collector that
+ * found it in `foundBy` ({ source, subSource, query }).
+ */
+const { canonicalizeTopics } = require('./taxonomy');
+
+const NEAR_DUP_BITS = 3;      // max differing SimHash bits for two texts to count as the same
+const MIN_SIMHASH_WORDS = 8;  // shorter texts are too generic to compare
+
+const TRACKING_PARAMS = /^(utm_\w+|ref|ref_src|ref_url|s|t|si|fbclid|gclid)$/i;
+// Hosts whose one-segment paths (and these sections) are accounts, not content
+const PROFILE_HOSTS = new Set(['x.com', 'twitter.com', 'github.com', 't.me', 'warpcast.com', 'youtube.com', 'linkedin.com', 'instagram.com', 'tiktok.com', 'reddit.com']);
+const PROFILE_SECTIONS = /^(in|company|user|u|r|c|channel|orgs)$/i;
+const ENGAGEMENT_RANK = { low: 1, medium: 2, high: 3 };
+
+// ==========================================
+// Identity Keys
+// ==========================================
+
+/**
+ * Canonical form of a URL (null when it does not parse)
+ */
+function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  return `${host}${parsed.pathname.replace(/\/+$/, '')}${query}`;
+}
+
+/**
+ * Whether a canonical URL points at one piece of content
+ * (an article, post or repo) rather than a site, account or channel
+ */
+function isContentUrl(canonical) {
+  const [host, ...segments] = canonical.split('?')[0].split('/');
+  if (segments.length === 0) return false;
+  if (segments.length === 1 && segments[0].startsWith('@')) return false;
+  if (host === 'x.com' || host === 'twitter.com') return false; // only status URLs identify a post
+  if (PROFILE_HOSTS.has(host)) {
+    if (segments.length === 1) return false;
+    if (segments.length === 2 && PROFILE_SECTIONS.test(segments[0])) return false;
+  }
+  return true;
+}
+
+/**
+ * Strongest identity of a signal, independent of which collector found it
+ * @param {Object} signal - Raw or normalized signal
+ * @returns {string|null} e.g. "tweet:1790000000000000000", "repo:solana-labs/solana"
+ */
+function identityKey(signal) {
+  const url = signal.url || signal.news_url || signal.html_url || null;
+  const canonical = url ? canonicalUrl(url) : null;
+
+  const tweet = canonical?.match(/^(?:x|twitter)\.com\/(?:[^/]+|i\/web)\/status(?:es)?\/(\d+)/);
+  if (tweet) return `tweet:${tweet[1]}`;
+
+  const name = signal.name || signal.title;
+  if (signal.source === 'github' && /^[\w.-]+\/[\w.-]+$/.test(name || '')) return `repo:${name.toLowerCase()}`;
+  const repo = canonical?.match(/^github\.com\/([\w.-]+\/[\w.-]+)$/);
+  if (repo) return `repo:${repo[1].toLowerCase()}`;
+
+  if (signal.address) return `token:${signal.address}`;
+  if (canonical && isContentUrl(canonical)) return `url:${canonical}`;
+  return null;
+}
+
+// ==========================================
+// Near-Duplicate Text (SimHash)
+// ==========================================
+
+function fnv1a(str, seed) {
+  let hash = seed;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function popcount(n) {
+  let count = 0;
+  while (n) {
+    n &= n - 1;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * 64-bit SimHash of a text as two 32-bit halves (null for short texts)
+ */
+function simhash(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^a-z0-9$@#\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words.length < MIN_SIMHASH_WORDS) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i < words.length - 1; i++) {
+    const shingle = `${words[i]} ${words[i + 1]}`;
+    const halves = [fnv1a(shingle, 0x811c9dc5), fnv1a(shingle, 0x01000193)];
+    for (let bit = 0; bit < 64; bit++) {
+      const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+      weights[bit] += set ? 1 : -1;
+    }
+  }
+
+  const result = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) result[bit >> 5] |= 1 << (bit & 31);
+  }
+  return [result[0] >>> 0, result[1] >>> 0];
+}
+
+/**
+ * The 64 bits split into 16-bit bands: two hashes within NEAR_DUP_BITS (3)
+ * bits of each other agree on at least one of the four bands, so only hashes
+ * sharing a band need comparing
+ */
+function simhashBands(hash) {
+  return [hash[0] & 0xffff, hash[0] >>> 16, hash[1] & 0xffff, hash[1] >>> 16];
+}
+
+function hammingDistance(a, b) {
+  return popcount((a[0] ^ b[0]) >>> 0) + popcount((a[1] ^ b[1]) >>> 0);
+}
+
+function knownAuthor(signal) {
+  return signal.username && signal.username !== 'unknown' ? signal.username.toLowerCase().replace(/^@/, '') : null;
+}
+
+// ==========================================
+// Grouping & Merging
+// ==========================================
+
+/**
+ * Group normalized signals that describe the same item
+ * @param {Array} signals - Normalized signals
+ * @returns {Array<Array>} Groups in first-seen order (singletons included)
+ */
+function groupDuplicates(signals) {
+  const parent = signals.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+
+  // Same id or same identity key
+  const byKey = new Map();
+  signals.forEach((s, i) => {
+    for (const key of [`id:${s.id}`, identityKey(s)].filter(Boolean)) {
+      if (byKey.has(key)) union(byKey.get(key), i);
+      else byKey.set(key, i);
+    }
+  });
+
+  // Near-duplicate text — only hashes sharing a band can be within NEAR_DUP_BITS
+  const hashed = signals
+    .map((s, i) => ({ i, hash: simhash(s.text), author: knownAuthor(s) }))
+    .filter(h => h.hash);
+  const buckets = new Map();
+  for (const h of hashed) {
+    simhashBands(h.hash).forEach((band, b) => {
+      const key = `${b}:${band}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(h);
+    });
+  }
+  for (const bucket of buckets.values()) {
+    for (let a = 0; a < bucket.length; a++) {
+      for (let b = a + 1; b < bucket.length; b++) {
+        const x = bucket[a];
+        const y = bucket[b];
+        if (x.author && y.author && x.author !== y.author) continue;
+        if (find(x.i) !== find(y.i) && hammingDistance(x.hash, y.hash) <= NEAR_DUP_BITS) union(x.i, y.i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  signals.forEach((s, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(s);
+  });
+  return [...groups.values()];
+}
+
+function filledFields(signal) {
+  return Object.values(signal).filter(v => v !== null && v !== '' && !(Array.isArray(v) && v.length === 0)).length;
+}
+
+/**
+ * Merge a list of `foundBy` entries, one per source/subSource/query
+ */
+function mergeFoundBy(...lists) {
+  const seen = new Map();
+  for (const entry of lists.flat()) {
+    if (!entry) continue;
+    const key = `${entry.source}|${entry.subSource}|${entry.query || ''}`;
+    if (!seen.has(key)) seen.set(key, entry);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Merge a group of duplicates into one signal
+ *
+ * The most complete signal is the base; missing fields are filled from the
+ * others, metrics take the maximum, `date` the earliest, topics the union.
+ * The id is stable for the group: ids derived from an identity key are the
+ * same whichever collector found the item, otherwise the smallest id wins.
+ */
+function mergeDuplicates(group) {
+  if (group.length === 1) return group[0];
+
+  const [base, ...rest] = [...group].sort((a, b) => filledFields(b) - filledFields(a));
+  const merged = { ...base };
+
+  for (const s of rest) {
+    for (const [key, value] of Object.entries(s)) {
+      if ((merged[key] === null || merged[key] === undefined || merged[key] === '') && value !== null && value !== '') {
+        merged[key] = value;
+      }
+    }
+    if (s.text && s.text.length > (merged.text || '').length) merged.text = s.text;
+    if ((ENGAGEMENT_RANK[s.engagement] || 0) > (ENGAGEMENT_RANK[merged.engagement] || 0)) merged.engagement = s.engagement;
+    if (s.stars > (merged.stars || 0)) merged.stars = s.stars;
+    if (s.marketCap > (merged.marketCap || 0)) merged.marketCap = s.marketCap;
+    if (s.date && new Date(s.date) < new Date(merged.date)) merged.date = s.date;
+  }
+
+  const keyed = group.filter(s => identityKey(s)).map(s => s.id);
+  merged.id = (keyed.length > 0 ? keyed : group.map(s => s.id)).sort()[0];
+
+  merged.rawTopics = [...new Set(group.flatMap(s => s.rawTopics || []))];
+  merged.topics = canonicalizeTopics(merged.rawTopics).topics;
+  merged.foundBy = mergeFoundBy(...group.map(s => s.foundBy));
+
+  return merged;
+}
+
+/**
+ * Merge duplicates in a set of normalized signals
+ * @param {Array} signals
+ * @returns {Object} { signals, merged } — merged is the number of signals folded into others
+ */
+function dedupeSignals(signals) {
+  const deduped = groupDuplicates(signals).map(mergeDuplicates);
+  return { signals: deduped, merged: signals.length - deduped.length };
+}
+
+module.exports = {
+  identityKey,
+  canonicalUrl,
+  simhash,
+  groupDuplicates,
+  mergeDuplicates,
+  dedupeSignals,
+  mergeFoundBy,
+};
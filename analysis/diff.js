@@ -0,0 +1,217 @@
+/**
+ * Snapshot Diff — what changed between two points in time
+ *
+ * Compares two narrative snapshots and two signal snapshots:
+ * - Narratives — matched by lineage id (falling back to id, then name):
+ *   new, dropped, and continuing ones with their rank, total score and
+ *   per-component score deltas (plus lifecycle state, when tracked)
+ * - Topics — canonical topic counts in each signal snapshot, rising / falling
+ * - Sources — signals added and removed per source (by signal id)
+ *
+ * Served from GET /api/diff as JSON or as a Markdown changelog.
+ */
+const { countTopics } = require('./breakouts');
+const { getTopicLabel } = require('./taxonomy');
+
+const MAX_TOPICS = 20;            // rising / falling topics reported
+const MAX_SIGNAL_SAMPLES = 10;    // added / removed signals listed per source
+
+// ==========================================
+// Narratives
+// ==========================================
+
+function narrativeKey(n) {
+  return n.lineage?.id || n.id || n.name;
+}
+
+function delta(from, to) {
+  const a = typeof from === 'number' ? from : null;
+  const b = typeof to === 'number' ? to : null;
+  return { from: a, to: b, delta: a !== null && b !== null ? Math.round((b - a) * 100) / 100 : null };
+}
+
+function summarize(n) {
+  return {
+    name: n.name,
+    id: n.id,
+    lineageId: n.lineage?.id || null,
+    rank: n.rank,
+    totalScore: n.totalScore,
+    state: n.lifecycle?.state || null,
+  };
+}
+
+/**
+ * New, dropped and continuing narratives between two snapshots
+ * @param {Object|null} from - Older narrative snapshot
+ * @param {Object|null} to - Newer narrative snapshot
+ */
+function diffNarratives(from, to) {
+  const before = new Map((from?.narratives || []).map(n => [narrativeKey(n), n]));
+  const after = new Map((to?.narratives || []).map(n => [narrativeKey(n), n]));
+
+  const added = [...after].filter(([key]) => !before.has(key)).map(([, n]) => summarize(n));
+  const dropped = [...before].filter(([key]) => !after.has(key)).map(([, n]) => summarize(n));
+
+  const changed = [...after]
+    .filter(([key]) => before.has(key))
+    .map(([key, n]) => {
+      const prev = before.get(key);
+      const components = {};
+      for (const component of new Set([...Object.keys(prev.scores || {}), ...Object.keys(n.scores || {})])) {
+        components[component] = delta(prev.scores?.[component] ?? 0, n.scores?.[component] ?? 0);
+      }
+      const rank = delta(prev.rank, n.rank);
+      return {
+        name: n.name,
+        previousName: prev.name !== n.name ? prev.name : null,
+        lineageId: n.lineage?.id || null,
+        rank,
+        totalScore: delta(prev.totalScore, n.totalScore),
+        components,
+        state: { from: prev.lifecycle?.state || null, to: n.lifecycle?.state || null },
+        reranked: rank.delta !== 0,
+      };
+    })
+    .sort((a, b) => Math.abs(b.rank.delta || 0) - Math.abs(a.rank.delta || 0) || (b.totalScore.delta || 0) - (a.totalScore.delta || 0));
+
+  return {
+    from: from?.timestamp || null,
+    to: to?.timestamp || null,
+    scoringProfile: {
+      from: from?.narratives?.[0]?.scoringProfile || null,
+      to: to?.narratives?.[0]?.scoringProfile || null,
+    },
+    new: added.sort((a, b) => a.rank - b.rank),
+    dropped: dropped.sort((a, b) => a.rank - b.rank),
+    changed,
+  };
+}
+
+// ==========================================
+// Signals
+// ==========================================
+
+function sampleSignal(s) {
+  return { id: s.id, title: s.name || s.title || String(s.text || '').substring(0, 100), url: s.url || null };
+}
+
+/**
+ * Topic count changes and per-source additions / removals between two signal snapshots
+ * @param {Object|null} from - Older signal snapshot
+ * @param {Object|null} to - Newer signal snapshot
+ */
+function diffSignals(from, to) {
+  const before = from?.signals || [];
+  const after = to?.signals || [];
+
+  // Topics
+  const countsBefore = countTopics(before);
+  const countsAfter = countTopics(after);
+  const topics = [...new Set([...Object.keys(countsBefore), ...Object.keys(countsAfter)])]
+    .map(topic => ({ topic, label: getTopicLabel(topic) || topic, ...delta(countsBefore[topic] || 0, countsAfter[topic] || 0) }))
+    .filter(t => t.delta !== 0);
+
+  // Sources
+  const idsBefore = new Set(before.map(s => s.id));
+  const idsAfter = new Set(after.map(s => s.id));
+  const sources = {};
+  const entry = source => (sources[source] = sources[source] || { from: 0, to: 0, added: 0, removed: 0, addedSignals: [], removedSignals: [] });
+
+  for (const s of before) {
+    const e = entry(s.source);
+    e.from++;
+    if (!idsAfter.has(s.id)) {
+      e.removed++;
+      if (e.removedSignals.length < MAX_SIGNAL_SAMPLES) e.removedSignals.push(sampleSignal(s));
+    }
+  }
+  for (const s of after) {
+    const e = entry(s.source);
+    e.to++;
+    if (!idsBefore.has(s.id)) {
+      e.added++;
+      if (e.addedSignals.length < MAX_SIGNAL_SAMPLES) e.addedSignals.push(sampleSignal(s));
+    }
+  }
+
+  return {
+    from: from?.timestamp || null,
+    to: to?.timestamp || null,
+    signalCount: delta(before.length, after.length),
+    topics: {
+      rising: topics.filter(t => t.delta > 0).sort((a, b) => b.delta - a.delta).slice(0, MAX_TOPICS),
+      falling: topics.filter(t => t.delta < 0).sort((a, b) => a.delta - b.delta).slice(0, MAX_TOPICS),
+    },
+    sources,
+  };
+}
+
+// ==========================================
+// Markdown
+// ==========================================
+
+function signed(n) {
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+function day(ts) {
+  return ts ? ts.replace('T', ' ').substring(0, 16) : 'n/a';
+}
+
+/**
+ * Readable changelog for a diff
+ * @param {Object} diff - { narratives, signals } from diffNarratives / diffSignals
+ * @returns {string} Markdown
+ */
+function formatDiffMarkdown({ narratives, signals }) {
+  const lines = [`# Radar changelog`, ''];
+
+  if (narratives) {
+    const reranked = narratives.changed.filter(c => c.reranked || c.totalScore.delta);
+    lines.push(`## Narratives (${day(narratives.from)} → ${day(narratives.to)})`, '');
+    const profiles = narratives.scoringProfile;
+    if (profiles.from && profiles.to && profiles.from !== profiles.to) {
+      lines.push(`_Scoring profile changed: ${narratives.scoringProfile.from} → ${narratives.scoringProfile.to}_`, '');
+    }
+
+    lines.push(`### New (${narratives.new.length})`);
+    lines.push(...(narratives.new.length ? narratives.new.map(n => `- **${n.name}** — #${n.rank}, score ${n.totalScore}`) : ['- none']), '');
+
+    lines.push(`### Dropped (${narratives.dropped.length})`);
+    lines.push(...(narratives.dropped.length ? narratives.dropped.map(n => `- **${n.name}** — was #${n.rank}, score ${n.totalScore}`) : ['- none']), '');
+
+    lines.push(`### Re-ranked / re-scored (${reranked.length})`);
+    lines.push(...(reranked.length ? reranked.map(c => {
+      const components = Object.entries(c.components)
+        .filter(([, d]) => d.delta)
+        .map(([key, d]) => `${key} ${signed(d.delta)}`);
+      const state = c.state.from && c.state.to && c.state.from !== c.state.to ? `, ${c.state.from} → ${c.state.to}` : '';
+      return `- **${c.name}** — #${c.rank.from} → #${c.rank.to}${c.rank.delta ? ` (${signed(-c.rank.delta)})` : ''}, score ${c.totalScore.from} → ${c.totalScore.to} (${signed(c.totalScore.delta)})${components.length ? `: ${components.join(', ')}` : ''}${state}`;
+    }) : ['- none']), '');
+  }
+
+  if (signals) {
+    lines.push(`## Signals (${day(signals.from)} → ${day(signals.to)})`, '');
+    lines.push(`${signals.signalCount.from} → ${signals.signalCount.to} signals (${signed(signals.signalCount.delta)})`, '');
+
+    lines.push('### Topics rising');
+    lines.push(...(signals.topics.rising.length ? signals.topics.rising.map(t => `- ${t.label}: ${t.from} → ${t.to} (${signed(t.delta)})`) : ['- none']), '');
+    lines.push('### Topics falling');
+    lines.push(...(signals.topics.falling.length ? signals.topics.falling.map(t => `- ${t.label}: ${t.from} → ${t.to} (${signed(t.delta)})`) : ['- none']), '');
+
+    lines.push('### By source', '', '| Source | Before | After | Added | Removed |', '|--------|--------|-------|-------|---------|');
+    for (const [source, s] of Object.entries(signals.sources)) {
+      lines.push(`| ${source} | ${s.from} | ${s.to} | ${s.added} | ${s.removed} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffNarratives,
+  diffSignals,
+  formatDiffMarkdown,
+};
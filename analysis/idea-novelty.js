@@ -0,0 +1,214 @@
+/**
+ * Build Idea Novelty — has this been proposed, or built, already?
+ *
+ * Build ideas are generated per narrative with no memory of earlier runs,
+ * so the same idea comes back run after run and across narratives. Each
+ * new idea is compared with:
+ * - every idea stored in earlier narrative snapshots (and ideas generated
+ *   earlier in the same run)
+ * - the GitHub repos in the current signal window
+ *
+ * Similarity is the cosine over sets of meaningful tokens (name, one-liner
+ * and description; repo name and description). Each idea gets:
+ * - novelty   — 1 − its highest similarity to anything above (0-1)
+ * - similar   — the closest ideas and repos above SIMILAR_THRESHOLD
+ * - repeated  — true when an earlier idea is at least REPEAT_THRESHOLD similar
+ */
+
+const SIMILAR_THRESHOLD = 0.3;   // listed as a similar idea / existing project
+const REPEAT_THRESHOLD = 0.55;   // counts as the same idea proposed again
+const MAX_SIMILAR = 5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'on', 'in', 'for', 'to', 'with', 'via', 'by', 'from', 'that', 'this',
+  'it', 'its', 'is', 'are', 'be', 'as', 'at', 'or', 'who', 'what', 'their', 'them', 'they', 'into',
+  'solana', 'sol', 'build', 'built', 'platform', 'app', 'application', 'tool', 'tools', 'protocol',
+  'user', 'users', 'using', 'use', 'based', 'onchain', 'on-chain', 'new', 'real', 'time', 'simple',
+  'lets', 'allows', 'helps', 'enables', 'easy', 'easily', 'service', 'product', 'project',
+]);
+
+// ==========================================
+// Similarity
+// ==========================================
+
+function tokenize(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(t => t.length > 2 && !STOPWORDS.has(t))
+      .map(t => (t.length > 4 && t.endsWith('s') ? t.slice(0, -1) : t)) // agents → agent
+  );
+}
+
+function cosine(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared / Math.sqrt(a.size * b.size);
+}
+
+function ideaTokens(idea) {
+  return tokenize(`${idea.name} ${idea.oneLiner} ${idea.description}`);
+}
+
+/**
+ * Key identifying an idea across runs (its normalized name)
+ */
+function ideaKey(idea) {
+  return String(idea.name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// ==========================================
+// Catalogs
+// ==========================================
+
+/**
+ * Every distinct idea in stored narrative snapshots (same name = same idea)
+ * @param {Array} history - Narrative snapshots, newest first (from loadNarrativeHistory)
+ * @returns {Array} [{ idea, key, narratives, lineageIds, firstProposed, lastProposed, timesProposed }], newest first
+ */
+function catalogIdeas(history = []) {
+  const byKey = new Map();
+
+  for (const snapshot of history) {
+    for (const narrative of snapshot.narratives || []) {
+      for (const idea of narrative.buildIdeas || []) {
+        const key = ideaKey(idea);
+        if (!key) continue;
+
+        const entry = byKey.get(key) || {
+          idea,
+          key,
+          narratives: [],
+          lineageIds: [],
+          firstProposed: snapshot.timestamp,
+          lastProposed: snapshot.timestamp,
+          timesProposed: 0,
+        };
+        entry.timesProposed++;
+        if (!entry.narratives.includes(narrative.name)) entry.narratives.push(narrative.name);
+        if (narrative.lineage?.id && !entry.lineageIds.includes(narrative.lineage.id)) entry.lineageIds.push(narrative.lineage.id);
+        if (snapshot.timestamp < entry.firstProposed) entry.firstProposed = snapshot.timestamp;
+        byKey.set(key, entry);
+      }
+    }
+  }
+
+  return [...byKey.values()];
+}
+
+/**
+ * Comparison set for a run: earlier ideas and collected GitHub repos
+ * @param {Array} history - Narrative snapshots, newest first
+ * @param {Array} signals - Current signal window
+ * @returns {Object} { ideas, repos } with precomputed tokens
+ */
+function buildNoveltyIndex(history = [], signals = []) {
+  return {
+    ideas: catalogIdeas(history).map(entry => ({ ...entry, tokens: ideaTokens(entry.idea) })),
+    repos: signals
+      .filter(s => s.source === 'github')
+      .map(s => ({
+        name: s.name || s.title,
+        url: s.url || null,
+        stars: s.stars || 0,
+        description: s.text || '',
+        tokens: tokenize(`${String(s.name || s.title || '').replace(/[/_.-]/g, ' ')} ${s.text || ''}`),
+      })),
+  };
+}
+
+// ==========================================
+// Novelty Check
+// ==========================================
+
+/**
+ * Score one idea against the index
+ * @param {Object} idea
+ * @param {Object} index - From buildNoveltyIndex (ideas generated this run are added as they are checked)
+ * @returns {Object} { novelty, repeated, repeatOf, similar }
+ */
+function checkIdeaNovelty(idea, index) {
+  const tokens = ideaTokens(idea);
+  const key = ideaKey(idea);
+  const matches = [];
+
+  for (const prior of index.ideas) {
+    const similarity = prior.key === key ? 1 : cosine(tokens, prior.tokens);
+    if (similarity < SIMILAR_THRESHOLD) continue;
+    matches.push({
+      type: 'idea',
+      name: prior.idea.name,
+      narrative: prior.narratives[0] || null,
+      firstProposed: prior.firstProposed,
+      similarity: round(similarity),
+    });
+  }
+
+  for (const repo of index.repos) {
+    const similarity = cosine(tokens, repo.tokens);
+    if (similarity < SIMILAR_THRESHOLD) continue;
+    matches.push({
+      type: 'repo',
+      name: repo.name,
+      url: repo.url,
+      stars: repo.stars,
+      similarity: round(similarity),
+    });
+  }
+
+  matches.sort((a, b) => b.similarity - a.similarity);
+  const closest = matches[0]?.similarity || 0;
+  const repeatOf = matches.find(m => m.type === 'idea' && m.similarity >= REPEAT_THRESHOLD) || null;
+
+  return {
+    novelty: round(1 - closest),
+    repeated: !!repeatOf,
+    repeatOf,
+    similar: matches.slice(0, MAX_SIMILAR),
+  };
+}
+
+/**
+ * Remember an idea generated in this run, so later narratives don't repeat it
+ */
+function addToIndex(index, idea, narrative, timestamp) {
+  index.ideas.push({
+    idea,
+    key: ideaKey(idea),
+    narratives: [narrative.name],
+    lineageIds: narrative.lineage?.id ? [narrative.lineage.id] : [],
+    firstProposed: timestamp,
+    lastProposed: timestamp,
+    timesProposed: 1,
+    currentRun: true,
+    tokens: ideaTokens(idea),
+  });
+}
+
+/**
+ * GitHub repos in the index closest to a narrative (for the prompt)
+ */
+function relatedRepos(narrative, index, limit) {
+  const tokens = tokenize(`${narrative.name} ${narrative.description} ${(narrative.topics || []).join(' ')}`);
+  return index.repos
+    .map(repo => ({ repo, similarity: cosine(tokens, repo.tokens) }))
+    .filter(r => r.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity || b.repo.stars - a.repo.stars)
+    .slice(0, limit)
+    .map(r => r.repo);
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = {
+  catalogIdeas,
+  buildNoveltyIndex,
+  checkIdeaNovelty,
+  addToIndex,
+  relatedRepos,
+  ideaKey,
+};
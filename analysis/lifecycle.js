@@ -0,0 +1,270 @@
+/**
+ * Narrative Lifecycle — state machine over consecutive analysis runs
+ *
+ * `stage` describes a narrative within a single run; the lifecycle follows
+ * a lineage (see lineage.js) from run to run, including after it stops
+ * showing up:
+ *
+ *   new → emerging → accelerating → peaking → fading → dormant
+ *
+ * Present narratives move on the trend of their score and matching-signal
+ * weight in the latest run against the mean of the TREND_RUNS runs before
+ * (up / flat / down, ±GROWTH):
+ *
+ *   from          up            flat        down
+ *   new           emerging      emerging    fading
+ *   emerging      accelerating  emerging    fading
+ *   accelerating  accelerating  peaking     peaking
+ *   peaking       accelerating  peaking     fading
+ *   fading        emerging      fading      fading
+ *
+ * A lineage missing from the latest run is fading, and dormant once it has
+ * been missing for DORMANT_AFTER_MISSES runs in a row. Absent lineages are
+ * stored with each snapshot (`inactive`) so they stay queryable and can be
+ * linked again if the theme comes back (→ emerging). Dormant lineages are
+ * dropped FORGET_AFTER_DAYS after they were last seen.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIFECYCLE_STATES = ['new', 'emerging', 'accelerating', 'peaking', 'fading', 'dormant'];
+
+const TREND_RUNS = 3;             // earlier runs the latest one is compared with
+const GROWTH = 0.1;               // relative change counted as up / down
+const DORMANT_AFTER_MISSES = 3;   // consecutive runs missing before a lineage is dormant
+const FORGET_AFTER_DAYS = 60;     // dormant lineages are no longer tracked after this
+const MAX_TRANSITIONS = 20;
+
+const TRANSITIONS = {
+  new: { up: 'emerging', flat: 'emerging', down: 'fading' },
+  emerging: { up: 'accelerating', flat: 'emerging', down: 'fading' },
+  accelerating: { up: 'accelerating', flat: 'peaking', down: 'peaking' },
+  peaking: { up: 'accelerating', flat: 'peaking', down: 'fading' },
+  fading: { up: 'emerging', flat: 'fading', down: 'fading' },
+};
+
+// ==========================================
+// Trend
+// ==========================================
+
+function relativeChange(latest, earlier) {
+  const values = earlier.filter(v => typeof v === 'number');
+  if (typeof latest !== 'number' || values.length === 0) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return (latest - mean) / Math.max(mean, 1);
+}
+
+/**
+ * Score and signal-weight trend of a lineage's latest run
+ * @param {Array} history - Lineage history entries, oldest first
+ * @returns {Object} { direction: 'up' | 'flat' | 'down', score, signals } — changes are relative
+ */
+function measureTrend(history) {
+  const latest = history[history.length - 1] || {};
+  const earlier = history.slice(-1 - TREND_RUNS, -1);
+
+  const score = relativeChange(latest.totalScore, earlier.map(e => e.totalScore));
+  const signals = relativeChange(latest.signalWeight, earlier.map(e => e.signalWeight));
+  const changes = [score, signals].filter(c => c !== null);
+  const combined = changes.length > 0 ? changes.reduce((a, b) => a + b, 0) / changes.length : 0;
+
+  return {
+    direction: combined >= GROWTH ? 'up' : combined <= -GROWTH ? 'down' : 'flat',
+    score: score === null ? null : round(score),
+    signals: signals === null ? null : round(signals),
+  };
+}
+
+function describeTrend(trend) {
+  const parts = [];
+  if (trend.score !== null) parts.push(`score ${signed(trend.score)}`);
+  if (trend.signals !== null) parts.push(`signals ${signed(trend.signals)}`);
+  return parts.length > 0 ? `${parts.join(', ')} vs previous runs` : 'no earlier runs to compare';
+}
+
+// ==========================================
+// Transitions
+// ==========================================
+
+/**
+ * Lifecycle after one more run (keeps the transition log)
+ */
+function advance(previous, state, timestamp, reason, trend = null) {
+  const changed = !previous || previous.state !== state;
+  const transitions = previous?.transitions || [];
+
+  return {
+    state,
+    since: changed ? timestamp : previous.since,
+    runsInState: changed ? 1 : (previous.runsInState || 1) + 1,
+    previousState: changed ? previous?.state || null : previous.previousState || null,
+    trend,
+    transitions: changed
+      ? [...transitions, { from: previous?.state || null, to: state, timestamp, reason }].slice(-MAX_TRANSITIONS)
+      : transitions,
+  };
+}
+
+/**
+ * Most recent stored appearance of every lineage (active or inactive)
+ * @returns {Map} lineageId → { narrative, lifecycle, active, missedRuns, lastSeen }
+ */
+function collectKnownLineages(history) {
+  const known = new Map();
+
+  history.forEach((snapshot, index) => {
+    for (const narrative of snapshot.narratives || []) {
+      const id = narrative.lineage?.id;
+      if (!id || known.has(id)) continue;
+      known.set(id, {
+        narrative,
+        lifecycle: narrative.lifecycle || null,
+        active: index === 0,
+        missedRuns: index,
+        lastSeen: snapshot.timestamp,
+      });
+    }
+    for (const entry of snapshot.inactive || []) {
+      const id = entry.lineage?.id;
+      if (!id || known.has(id)) continue;
+      known.set(id, {
+        narrative: entry,
+        lifecycle: entry.lifecycle || null,
+        active: false,
+        missedRuns: (entry.missedRuns || 1) + index,
+        lastSeen: entry.lastSeen,
+      });
+    }
+  });
+
+  return known;
+}
+
+/**
+ * Advance the lifecycle of every known lineage by one run
+ * @param {Array} narratives - Narratives of the current run (lineage linked)
+ * @param {Array} history - Narrative snapshots, newest first (from loadNarrativeHistory)
+ * @param {string} [timestamp] - Timestamp of the current run
+ * @returns {Object} { narratives, inactive, transitions }
+ *   narratives — with a `lifecycle` object attached
+ *   inactive   — lineages missing from this run (fading / dormant), to store with the snapshot
+ *   transitions — state changes made in this run
+ */
+function trackLifecycle(narratives, history = [], timestamp = new Date().toISOString()) {
+  const known = collectKnownLineages(history);
+  const transitions = [];
+  const record = (n, lifecycle) => {
+    if (lifecycle.since === timestamp) {
+      transitions.push({ lineageId: n.lineage?.id || null, name: n.name, ...lifecycle.transitions[lifecycle.transitions.length - 1] });
+    }
+  };
+
+  // Narratives present in this run
+  const tracked = narratives.map(narrative => {
+    const prior = known.get(narrative.lineage?.id);
+    const trend = measureTrend(narrative.lineage?.history || []);
+    let lifecycle;
+
+    if (!prior) {
+      lifecycle = advance(null, 'new', timestamp, 'first seen', trend);
+    } else if (!prior.active) {
+      lifecycle = advance(prior.lifecycle, 'emerging', timestamp, `reappeared after ${prior.missedRuns} missed run${prior.missedRuns === 1 ? '' : 's'}`, trend);
+    } else {
+      // Lineages stored before lifecycle tracking start out as emerging
+      const previous = prior.lifecycle || advance(null, 'emerging', prior.lastSeen, 'tracking started');
+      const state = TRANSITIONS[previous.state]?.[trend.direction] || 'emerging';
+      lifecycle = advance(previous, state, timestamp, describeTrend(trend), trend);
+    }
+
+    record(narrative, lifecycle);
+    return { ...narrative, lifecycle };
+  });
+
+  // Lineages missing from this run
+  const present = new Set(tracked.map(n => n.lineage?.id));
+  const inactive = [];
+  for (const [lineageId, prior] of known) {
+    if (present.has(lineageId)) continue;
+
+    const missedRuns = prior.missedRuns + 1;
+    const state = missedRuns >= DORMANT_AFTER_MISSES ? 'dormant' : 'fading';
+    if (state === 'dormant' && Date.parse(timestamp) - Date.parse(prior.lastSeen) > FORGET_AFTER_DAYS * DAY_MS) continue;
+
+    const previous = prior.lifecycle || advance(null, 'emerging', prior.lastSeen, 'tracking started');
+    const reason = `missing from the last ${missedRuns} run${missedRuns === 1 ? '' : 's'}`;
+    const lifecycle = advance(previous, state, timestamp, reason);
+    const entry = toInactiveEntry(prior.narrative, { lastSeen: prior.lastSeen, missedRuns, lifecycle });
+
+    record(entry, lifecycle);
+    inactive.push(entry);
+  }
+  inactive.sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen));
+
+  const counts = countStates([...tracked, ...inactive]);
+  console.log(`[Lifecycle] ${transitions.length} transitions — ${LIFECYCLE_STATES.map(s => `${counts[s]} ${s}`).join(', ')}`);
+
+  return { narratives: tracked, inactive, transitions };
+}
+
+/**
+ * Copy of a narrative kept while its lineage is absent — enough to show it,
+ * re-rank it and link it again (see lineage.js); build ideas and the
+ * momentum series are left behind
+ */
+function toInactiveEntry(narrative, { lastSeen, missedRuns, lifecycle }) {
+  const { buildIdeas, momentum, active, ...rest } = narrative;
+  return { ...rest, lastSeen, missedRuns, lifecycle };
+}
+
+// ==========================================
+// Queries
+// ==========================================
+
+function countStates(narratives) {
+  const counts = Object.fromEntries(LIFECYCLE_STATES.map(s => [s, 0]));
+  for (const n of narratives) {
+    if (n.lifecycle?.state) counts[n.lifecycle.state]++;
+  }
+  return counts;
+}
+
+/**
+ * Lifecycle view of a stored snapshot
+ * @param {Object} snapshot - Narrative snapshot (active narratives + `inactive`)
+ * @param {Object} [options]
+ * @param {number} [options.days=14] - Window for "died" / "faded" lists
+ * @returns {Object} { counts, died, faded, narratives }
+ *   died  — lineages that went dormant within the window
+ *   faded — lineages that started fading within the window and are not dormant yet
+ */
+function summarizeLifecycle(snapshot, { days = 14 } = {}) {
+  const cutoff = Date.parse(snapshot.timestamp) - days * DAY_MS;
+  const all = [
+    ...(snapshot.narratives || []).map(n => ({ ...n, active: true })),
+    ...(snapshot.inactive || []).map(n => ({ ...n, active: false })),
+  ].filter(n => n.lifecycle);
+
+  const enteredWithin = (n, state) => n.lifecycle.state === state && Date.parse(n.lifecycle.since) >= cutoff;
+  const byRecency = (a, b) => Date.parse(b.lifecycle.since) - Date.parse(a.lifecycle.since);
+
+  return {
+    counts: countStates(all),
+    died: all.filter(n => enteredWithin(n, 'dormant')).sort(byRecency),
+    faded: all.filter(n => enteredWithin(n, 'fading')).sort(byRecency),
+    narratives: all,
+  };
+}
+
+function signed(change) {
+  return `${change >= 0 ? '+' : ''}${Math.round(change * 100)}%`;
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+module.exports = {
+  LIFECYCLE_STATES,
+  trackLifecycle,
+  summarizeLifecycle,
+};
@@ -0,0 +1,222 @@
+/**
+ * Narrative Lineage — stable identity across analysis runs
+ *
+ * Grok invents a fresh `id` slug every run, so the same theme shows up under
+ * different ids in each snapshot. This step links each newly scored narrative
+ * to its predecessor in earlier snapshots using:
+ * - Topic overlap (Jaccard over normalized topic tags)
+ * - Name similarity (Jaccard over meaningful name tokens)
+ * - Shared evidence (Jaccard over evidence text tokens)
+ *
+ * Matched narratives inherit the predecessor's lineage id and extend its
+ * rank/score/signal-weight history; unmatched ones start a new lineage.
+ * Lineages missing from recent runs are kept with each snapshot as
+ * `inactive` (see lifecycle.js), so a theme that comes back is linked too.
+ */
+const crypto = require('crypto');
+
+const WEIGHTS = { topics: 0.45, name: 0.35, evidence: 0.2 };
+const MATCH_THRESHOLD = 0.3;
+const MAX_HISTORY = 50;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'on', 'in', 'for', 'to', 'with', 'via', 'by',
+  'solana', 'sol', 'ecosystem', 'narrative', 'new',
+]);
+
+/**
+ * Link narratives to their predecessors in stored history
+ * @param {Array} narratives - Scored narratives (current run)
+ * @param {Array} history - Narrative snapshots, newest first (from loadNarrativeHistory)
+ * @param {string} [timestamp] - Timestamp of the current run
+ * @returns {Array} Narratives with a `lineage` object attached
+ */
+function linkNarrativeLineage(narratives, history = [], timestamp = new Date().toISOString()) {
+  const candidates = collectCandidates(history);
+  console.log(`[Lineage] Matching ${narratives.length} narratives against ${candidates.length} known lineages...`);
+
+  // Score every (new, candidate) pair, then assign greedily best-first (one-to-one)
+  const pairs = [];
+  narratives.forEach((narrative, i) => {
+    for (const candidate of candidates) {
+      const similarity = narrativeSimilarity(narrative, candidate.narrative);
+      if (similarity >= MATCH_THRESHOLD) pairs.push({ i, candidate, similarity });
+    }
+  });
+  pairs.sort((a, b) => b.similarity - a.similarity);
+
+  const matches = new Map();
+  const usedLineages = new Set();
+  for (const pair of pairs) {
+    if (matches.has(pair.i) || usedLineages.has(pair.candidate.lineageId)) continue;
+    matches.set(pair.i, pair);
+    usedLineages.add(pair.candidate.lineageId);
+  }
+
+  let linked = 0;
+  const result = narratives.map((narrative, i) => {
+    const entry = {
+      timestamp,
+      name: narrative.name,
+      rank: narrative.rank,
+      totalScore: narrative.totalScore,
+      signalWeight: narrative.matchingSignalWeight ?? narrative.matchingSignalCount ?? null,
+    };
+    const match = matches.get(i);
+
+    if (!match) {
+      return {
+        ...narrative,
+        lineage: {
+          id: newLineageId(narrative, timestamp),
+          firstSeen: timestamp,
+          lastSeen: timestamp,
+          appearances: 1,
+          predecessor: null,
+          history: [entry],
+        },
+      };
+    }
+
+    linked++;
+    const prev = match.candidate;
+    const history = [...prev.history, entry].slice(-MAX_HISTORY);
+
+    return {
+      ...narrative,
+      lineage: {
+        id: prev.lineageId,
+        firstSeen: prev.firstSeen,
+        lastSeen: timestamp,
+        appearances: prev.appearances + 1,
+        predecessor: {
+          id: prev.narrative.id,
+          name: prev.narrative.name,
+          timestamp: prev.timestamp,
+          similarity: Math.round(match.similarity * 100) / 100,
+        },
+        history,
+      },
+    };
+  });
+
+  console.log(`[Lineage] ${linked} continued, ${narratives.length - linked} new lineages`);
+  return result;
+}
+
+/**
+ * Build the list of known lineages from history (most recent appearance of each,
+ * active narratives first, then inactive ones)
+ * Snapshots written before lineage tracking get a lineage derived from their id.
+ */
+function collectCandidates(history) {
+  const byLineage = new Map();
+
+  for (const snapshot of history) {
+    for (const narrative of [...(snapshot.narratives || []), ...(snapshot.inactive || [])]) {
+      const lineageId = lineageIdOf(narrative);
+      if (byLineage.has(lineageId)) continue;
+
+      const timestamp = narrative.lastSeen || snapshot.timestamp;
+      const legacyEntry = {
+        timestamp,
+        name: narrative.name,
+        rank: narrative.rank,
+        totalScore: narrative.totalScore,
+      };
+
+      byLineage.set(lineageId, {
+        lineageId,
+        narrative,
+        timestamp,
+        firstSeen: narrative.lineage?.firstSeen || timestamp,
+        appearances: narrative.lineage?.appearances || 1,
+        history: narrative.lineage?.history || [legacyEntry],
+      });
+    }
+  }
+
+  return [...byLineage.values()];
+}
+
+/**
+ * Weighted similarity between two narratives (0-1)
+ */
+function narrativeSimilarity(a, b) {
+  const topics = jaccard(normalizeTopics(a.topics), normalizeTopics(b.topics));
+  const name = jaccard(tokenize(a.name), tokenize(b.name));
+  const evidence = jaccard(
+    tokenize((a.evidence || []).join(' ')),
+    tokenize((b.evidence || []).join(' '))
+  );
+
+  return topics * WEIGHTS.topics + name * WEIGHTS.name + evidence * WEIGHTS.evidence;
+}
+
+function normalizeTopics(topics) {
+  return new Set((topics || []).map(t => String(t).toLowerCase().trim().replace(/\s+/g, '_')));
+}
+
+function tokenize(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(t => t.length > 1 && !STOPWORDS.has(t))
+      .map(t => (t.length > 3 && t.endsWith('s') ? t.slice(0, -1) : t)) // agents → agent
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function slugify(str) {
+  return String(str || 'narrative')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 40);
+}
+
+/**
+ * Lineage id of a stored narrative — derived from its id (or name) for
+ * narratives stored before lineage tracking
+ */
+function lineageIdOf(narrative) {
+  return narrative.lineage?.id || `lin_${slugify(narrative.id || narrative.name)}`;
+}
+
+function newLineageId(narrative, timestamp) {
+  const hash = crypto.createHash('sha1').update(`${narrative.name}|${timestamp}`).digest('hex').substring(0, 6);
+  return `lin_${slugify(narrative.id || narrative.name)}_${hash}`;
+}
+
+/**
+ * Find the most recent appearance of a lineage in stored snapshots
+ * (including lineages kept as inactive — fading or dormant)
+ * Narratives stored before lineage tracking are found by their derived
+ * lineage id (`lin_<slug>`) or their own id.
+ * @param {string} lineageId - Lineage id, or a narrative id
+ * @param {Array} history - Narrative snapshots, newest first
+ * @returns {Object|null} { narrative, timestamp, inactive }
+ */
+function findLineage(lineageId, history = []) {
+  const matches = n => lineageIdOf(n) === lineageId || n.id === lineageId;
+  for (const snapshot of history) {
+    const narrative = (snapshot.narratives || []).find(matches);
+    if (narrative) return { narrative, timestamp: snapshot.timestamp, inactive: false };
+    const entry = (snapshot.inactive || []).find(matches);
+    if (entry) return { narrative: entry, timestamp: entry.lastSeen, inactive: true };
+  }
+  return null;
+}
+
+module.exports = {
+  linkNarrativeLineage,
+  narrativeSimilarity,
+  findLineage,
+};
@@ -0,0 +1,173 @@
+/**
+ * Narrative Momentum — velocity and stage derived from the data
+ *
+ * The clustering step reports a `velocity` and `stage` for each narrative,
+ * but those are the model's opinion. This step replaces them with values
+ * measured from the signals themselves:
+ *
+ * - Velocity: the share of the corpus (weighted by signal credibility —
+ *   see credibility.js) that matches the narrative's topics now, versus the mean
+ *   share in earlier signal snapshots (loadSignalHistory).
+ * - Stage: how long the topics have been present (first snapshot or
+ *   first sighting that matched) combined with that growth.
+ *
+ * The clustering labels are kept as `clusterLabels` so both can be compared.
+ */
+const { credibilityWeight } = require('./credibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RISING_RATIO = 1.25;    // current share / baseline share above this → rising
+const DECLINING_RATIO = 0.8;  // below this → declining
+const EMERGING_DAYS = 14;     // topics present for less than this are emerging
+const MIN_PRESENCE = 2;       // matching signals a snapshot needs to count as "present"
+
+// ==========================================
+// Share Measurement
+// ==========================================
+
+function topicSet(narrative) {
+  return new Set((narrative.topics || []).map(t => t.toLowerCase()));
+}
+
+/**
+ * Weighted volume of the signals matching a topic set, and its share of the corpus
+ */
+function measureShare(topics, signals) {
+  let matched = 0;
+  let matchedCount = 0;
+  let total = 0;
+  let earliest = null;
+
+  for (const s of signals) {
+    const weight = credibilityWeight(s);
+    total += weight;
+    if (!(s.topics || []).some(t => topics.has(t.toLowerCase()))) continue;
+
+    matched += weight;
+    matchedCount++;
+    const seen = s.firstSeen || s.date;
+    if (seen && (!earliest || seen < earliest)) earliest = seen;
+  }
+
+  return {
+    volume: Math.round(matched * 100) / 100,
+    count: matchedCount,
+    share: total > 0 ? matched / total : 0,
+    earliest,
+  };
+}
+
+// ==========================================
+// Velocity & Stage
+// ==========================================
+
+function classifyVelocity(ratio) {
+  if (ratio > RISING_RATIO) return 'rising';
+  if (ratio < DECLINING_RATIO) return 'declining';
+  return 'stable';
+}
+
+function classifyStage(ageDays, ratio) {
+  if (ageDays < EMERGING_DAYS) return 'emerging';
+  if (ratio > RISING_RATIO) return 'accelerating';
+  return 'maturing';
+}
+
+/**
+ * Within-window fallback when there is no earlier snapshot to compare against:
+ * weighted volume dated in the newer half of the window vs the older half
+ */
+function splitWindowRatio(topics, signals) {
+  const times = signals.map(s => new Date(s.date).getTime()).filter(t => !Number.isNaN(t));
+  if (times.length === 0) return 1;
+
+  const newest = Math.max(...times);
+  const oldest = Math.min(...times);
+  if (newest === oldest) return 1;
+  const midpoint = newest - (newest - oldest) / 2;
+
+  let newer = 0;
+  let older = 0;
+  for (const s of signals) {
+    if (!(s.topics || []).some(t => topics.has(t.toLowerCase()))) continue;
+    if (new Date(s.date).getTime() >= midpoint) newer += credibilityWeight(s);
+    else older += credibilityWeight(s);
+  }
+  return (newer + 1) / (older + 1);
+}
+
+/**
+ * Replace LLM-reported velocity/stage with data-derived values
+ * @param {Array} narratives - Clustered narratives
+ * @param {Array} signals - Current signals (rolling window)
+ * @param {Array} history - Signal snapshots, newest first (from loadSignalHistory)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Array} Narratives with derived `velocity`, `stage`, a `momentum`
+ *   breakdown and the clustering labels under `clusterLabels`
+ */
+function deriveMomentum(narratives, signals, history = [], { now = new Date() } = {}) {
+  // Oldest first; the newest snapshot already feeds the current window, so it is not a baseline
+  const baseline = history.slice(1).filter(h => Array.isArray(h.signals)).reverse();
+  console.log(`[Momentum] Measuring ${narratives.length} narratives against ${baseline.length} earlier snapshots...`);
+
+  return narratives.map(narrative => {
+    const topics = topicSet(narrative);
+    const current = measureShare(topics, signals);
+
+    const series = baseline.map(h => {
+      const m = measureShare(topics, h.signals);
+      return { timestamp: h.timestamp, share: m.share, count: m.count };
+    });
+
+    let ratio;
+    let baselineShare = null;
+    if (series.length > 0) {
+      baselineShare = series.reduce((sum, p) => sum + p.share, 0) / series.length;
+      // Smoothed so a topic going from nothing to something reads as rising, not infinite
+      ratio = (current.share + 0.01) / (baselineShare + 0.01);
+    } else {
+      ratio = splitWindowRatio(topics, signals);
+    }
+
+    // Presence: the first earlier snapshot with enough matches, else the first sighting in the window
+    const firstSnapshot = series.find(p => p.count >= MIN_PRESENCE);
+    const firstSeen = firstSnapshot?.timestamp || current.earliest || now.toISOString();
+    const ageDays = Math.max(0, (now - new Date(firstSeen)) / DAY_MS);
+
+    const velocity = classifyVelocity(ratio);
+    const stage = classifyStage(ageDays, ratio);
+
+    return {
+      ...narrative,
+      velocity,
+      stage,
+      clusterLabels: {
+        velocity: narrative.velocity || null,
+        stage: narrative.stage || null,
+        method: narrative.clusteringMethod || 'llm',
+      },
+      momentum: {
+        weightedVolume: current.volume,
+        matchingSignals: current.count,
+        currentShare: round(current.share),
+        baselineShare: baselineShare === null ? null : round(baselineShare),
+        ratio: round(ratio),
+        basis: series.length > 0 ? 'history' : 'window',
+        snapshotsCompared: series.length,
+        firstSeen,
+        ageDays: Math.round(ageDays * 10) / 10,
+        series: series.map(p => ({ timestamp: p.timestamp, share: round(p.share) })),
+      },
+    };
+  });
+}
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+module.exports = {
+  deriveMomentum,
+};
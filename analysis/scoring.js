@@ -1,63 +1,268 @@
 /**
  * Narrative Scoring — Ranking algorithm for detected narratives
- * 
+ *
  * Scores narratives based on:
  * - Cross-source signal strength (signals from multiple source types)
  * - Velocity (emerging > maturing)
  * - Evidence quality (data points, specific examples)
  * - Novelty (not yet mainstream)
+ *
+ * Weights live in named scoring profiles (config/scoring-profiles.json, or
+ * SCORING_PROFILES_PATH). Each profile is a set of components, each with a
+ * type, its own weights and a cap:
+ * - sources    — points per distinct source (perSource, or per-source weights)
+ * - evidence   — points per evidence item (perItem)
+ * - category   — points for the value of a field (values map + fallback)
+ * - confidence — AI confidence × max
+ * - signals    — points per unit of matching-signal weight (perSignal),
+ *                optionally from one source; each signal counts by its
+ *                credibility (credibility.js) unless `weighted` is false.
+ *                A typical signal weighs about 2.5 (on-chain about 2), so
+ *                perSignal is per-signal points divided by that mean
+ * - sentiment  — sentiment shift against the narrative's history, overall or
+ *                among KOLs (scope); no shift earns half the cap, each point
+ *                of polarity shift moves it by perPoint
+ *
+ * SCORING_PROFILE picks the profile used during analysis (default "default").
+ * Stored narratives keep their signal-match counts, so they can be re-ranked
+ * under any profile later without another LLM call.
  */
+const fs = require('fs');
+const path = require('path');
+const { credibilityWeight } = require('./credibility');
+
+const PROFILES_PATH = process.env.SCORING_PROFILES_PATH
+  || path.join(__dirname, '..', 'config', 'scoring-profiles.json');
+
+// Supporting signal ids stored per narrative (citations first, then topic matches)
+const MAX_SIGNAL_IDS = 200;
+
+// Profiles are read for every narrative and listing — stat the file at most this often
+const RECHECK_MS = 5000;
+
+// Used while the profiles file cannot be read and nothing was loaded before
+const FALLBACK_PROFILES = {
+  default: {
+    label: 'Balanced',
+    description: 'Built-in fallback for a missing or unreadable profiles file.',
+    components: {
+      crossSource: { label: 'Cross-source strength', type: 'sources', perSource: 8, max: 30 },
+      evidence: { label: 'Evidence quality', type: 'evidence', perItem: 8, max: 25 },
+      velocity: { label: 'Velocity', type: 'category', field: 'velocity', values: { rising: 20, stable: 10 }, fallback: 5, max: 20 },
+      stage: { label: 'Stage', type: 'category', field: 'stage', values: { emerging: 15, accelerating: 12 }, fallback: 5, max: 15 },
+      confidence: { label: 'AI confidence', type: 'confidence', max: 10 },
+      signalCount: { label: 'Signal match', type: 'signals', perSignal: 0.2, max: 10 },
+    },
+  },
+};
+
+let profilesCache = null;
+const warnedProfiles = new Set();
+
+// ==========================================
+// Profiles
+// ==========================================
 
 /**
- * Score and rank narratives
- * @param {Array} narratives - Array of narrative clusters from clustering
- * @param {Array} signals - Normalized signals for evidence counting
- * @returns {Array} Scored and ranked narratives
+ * All scoring profiles (re-read when the config file changes, checked at
+ * most every RECHECK_MS). While the file cannot be read, the last loaded
+ * profiles stay in use, or FALLBACK_PROFILES before any were loaded.
+ * @returns {Object} name → { label, description, components }
  */
-function scoreNarratives(narratives, signals) {
-  console.log(`[Scoring] Scoring ${narratives.length} narratives against ${signals.length} signals...`);
+function loadScoringProfiles() {
+  const now = Date.now();
+  if (profilesCache && now - profilesCache.checkedAt < RECHECK_MS) return profilesCache.profiles;
 
-  const scored = narratives.map(narrative => {
-    const scores = {};
+  try {
+    const { mtimeMs } = fs.statSync(PROFILES_PATH);
+    if (!profilesCache || profilesCache.mtimeMs !== mtimeMs) {
+      profilesCache = { mtimeMs, profiles: JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8')) };
+    }
+  } catch (err) {
+    if (profilesCache?.mtimeMs !== null) {
+      console.warn(`[Scoring] Cannot read ${PROFILES_PATH} (${err.message}) — using the ${profilesCache ? 'last loaded' : 'built-in default'} profiles`);
+    }
+    profilesCache = { mtimeMs: null, profiles: profilesCache?.profiles || FALLBACK_PROFILES };
+  }
+  profilesCache.checkedAt = now;
+  return profilesCache.profiles;
+}
+
+/**
+ * Name of the profile used during analysis (SCORING_PROFILE, default "default")
+ */
+function getActiveProfileName() {
+  return process.env.SCORING_PROFILE || 'default';
+}
+
+/**
+ * Get a scoring profile by name
+ * @param {string} [name] - Defaults to the active profile
+ * @returns {Object} { name, label, description, components, maxScore }
+ */
+function getScoringProfile(name = getActiveProfileName()) {
+  const profiles = loadScoringProfiles();
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown scoring profile "${name}" (available: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const maxScore = Object.values(profile.components).reduce((sum, c) => sum + c.max, 0);
+  return { name, ...profile, maxScore };
+}
+
+/**
+ * Profile a stored narrative was scored with; when it has since been removed
+ * or renamed, the active profile (or "default") with a warning
+ * @param {string} [name] - Stored `scoringProfile`
+ * @returns {Object} As getScoringProfile
+ */
+function getStoredProfile(name = 'default') {
+  const profiles = loadScoringProfiles();
+  if (profiles[name]) return getScoringProfile(name);
+
+  const fallback = profiles[getActiveProfileName()] ? getActiveProfileName() : 'default';
+  if (!warnedProfiles.has(name)) {
+    warnedProfiles.add(name);
+    console.warn(`[Scoring] Stored scoring profile "${name}" no longer exists — using "${fallback}"`);
+  }
+  return getScoringProfile(fallback);
+}
+
+/**
+ * Profile summaries for the API
+ */
+function listScoringProfiles() {
+  return Object.keys(loadScoringProfiles()).map(name => {
+    const p = getScoringProfile(name);
+    return {
+      name,
+      label: p.label,
+      description: p.description,
+      maxScore: p.maxScore,
+      components: Object.entries(p.components).map(([key, c]) => ({ key, label: c.label, max: c.max })),
+      active: name === getActiveProfileName(),
+    };
+  });
+}
+
+// ==========================================
+// Scoring
+// ==========================================
+
+/**
+ * Count and weigh the signals that share a topic with a narrative (total and
+ * per source) and merge them with the signals cited during clustering
+ */
+function measureSignalMatch(narrative, signals) {
+  const narrativeTopics = (narrative.topics || []).map(t => t.toLowerCase());
+  const matchingSignals = signals.filter(s =>
+    s.topics.some(t => narrativeTopics.includes(t.toLowerCase()))
+  );
 
-    // 1. Cross-source strength (0-30 points)
-    // More diverse sources = stronger signal
-    const uniqueSources = new Set(narrative.sources || []);
-    scores.crossSource = Math.min(uniqueSources.size * 8, 30);
+  const matchingSignalsBySource = {};
+  const matchingWeightBySource = {};
+  let matchingSignalWeight = 0;
+  for (const s of matchingSignals) {
+    const weight = credibilityWeight(s);
+    matchingSignalsBySource[s.source] = (matchingSignalsBySource[s.source] || 0) + 1;
+    matchingWeightBySource[s.source] = (matchingWeightBySource[s.source] || 0) + weight;
+    matchingSignalWeight += weight;
+  }
+  for (const source of Object.keys(matchingWeightBySource)) {
+    matchingWeightBySource[source] = Math.round(matchingWeightBySource[source] * 100) / 100;
+  }
 
-    // 2. Evidence quality (0-25 points)
-    const evidenceCount = (narrative.evidence || []).length;
-    scores.evidence = Math.min(evidenceCount * 8, 25);
+  const citedSignalIds = narrative.citedSignalIds || narrative.signalIds || [];
+  const signalIds = [...new Set([...citedSignalIds, ...matchingSignals.map(s => s.id)])].slice(0, MAX_SIGNAL_IDS);
 
-    // 3. Velocity bonus (0-20 points)
-    if (narrative.velocity === 'rising') scores.velocity = 20;
-    else if (narrative.velocity === 'stable') scores.velocity = 10;
-    else scores.velocity = 5;
+  return {
+    matchingSignalCount: matchingSignals.length,
+    matchingSignalsBySource,
+    matchingSignalWeight: Math.round(matchingSignalWeight * 100) / 100,
+    matchingWeightBySource,
+    citedSignalIds,
+    signalIds,
+  };
+}
 
-    // 4. Stage bonus (0-15 points)
-    // Emerging narratives score highest (we want early signals)
-    if (narrative.stage === 'emerging') scores.stage = 15;
-    else if (narrative.stage === 'accelerating') scores.stage = 12;
-    else scores.stage = 5;
+/**
+ * Matching-signal count and credibility weight for a signals component
+ * (narratives stored before weighting fall back to the count)
+ */
+function signalStrength(narrative, component) {
+  if (component.source) {
+    const count = narrative.matchingSignalsBySource?.[component.source] || 0;
+    return { count, weight: narrative.matchingWeightBySource?.[component.source] ?? count };
+  }
+  const count = narrative.matchingSignalCount || 0;
+  return { count, weight: narrative.matchingSignalWeight ?? count };
+}
 
-    // 5. AI confidence (0-10 points)
-    scores.confidence = Math.round((narrative.confidence || 0.5) * 10);
+/**
+ * Sentiment shift of a narrative (scope "kol" for KOL posts only); null when unknown
+ */
+function sentimentShift(narrative, scope) {
+  const sentiment = scope === 'kol' ? narrative.sentiment?.kol : narrative.sentiment;
+  return sentiment?.shift ?? null;
+}
 
-    // 6. Signal count from actual data (bonus, 0-10)
-    const narrativeTopics = (narrative.topics || []).map(t => t.toLowerCase());
-    const matchingSignals = signals.filter(s =>
-      s.topics.some(t => narrativeTopics.includes(t.toLowerCase()))
-    );
-    scores.signalCount = Math.min(Math.floor(matchingSignals.length / 2), 10);
+/**
+ * Points for one profile component
+ */
+function scoreComponent(component, narrative) {
+  let points = 0;
 
-    // Total score
-    const totalScore = Object.values(scores).reduce((a, b) => a + b, 0);
+  switch (component.type) {
+    case 'sources': {
+      const uniqueSources = [...new Set(narrative.sources || [])];
+      points = uniqueSources.reduce(
+        (sum, src) => sum + (component.weights ? component.weights[src] || 0 : component.perSource),
+        0
+      );
+      break;
+    }
+    case 'evidence':
+      points = (narrative.evidence || []).length * component.perItem;
+      break;
+    case 'category':
+      points = component.values[narrative[component.field]] ?? component.fallback ?? 0;
+      break;
+    case 'confidence':
+      points = Math.round((narrative.confidence || 0.5) * component.max);
+      break;
+    case 'signals': {
+      const { count, weight } = signalStrength(narrative, component);
+      points = Math.floor((component.weighted === false ? count : weight) * component.perSignal);
+      break;
+    }
+    case 'sentiment': {
+      const shift = sentimentShift(narrative, component.scope) || 0;
+      points = Math.max(0, Math.round(component.max / 2 + shift * component.perPoint));
+      break;
+    }
+    default:
+      throw new Error(`Unknown scoring component type "${component.type}"`);
+  }
+
+  return Math.min(points, component.max);
+}
+
+/**
+ * Score, sort and rank narratives under a profile (match counts must be set)
+ */
+function rankUnderProfile(narratives, profile) {
+  const scored = narratives.map(narrative => {
+    const scores = {};
+    for (const [key, component] of Object.entries(profile.components)) {
+      scores[key] = scoreComponent(component, narrative);
+    }
 
     return {
       ...narrative,
       scores,
-      totalScore,
-      matchingSignalCount: matchingSignals.length,
+      totalScore: Object.values(scores).reduce((a, b) => a + b, 0),
+      scoringProfile: profile.name,
       rank: 0, // Will be set after sorting
     };
   });
@@ -68,31 +273,89 @@ function scoreNarratives(narratives, signals) {
   // Assign ranks
   scored.forEach((n, i) => { n.rank = i + 1; });
 
+  return scored;
+}
+
+/**
+ * Score and rank narratives
+ * @param {Array} narratives - Array of narrative clusters from clustering
+ * @param {Array} signals - Normalized signals for evidence counting
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Scoring profile name (defaults to SCORING_PROFILE)
+ * @returns {Array} Scored and ranked narratives
+ */
+function scoreNarratives(narratives, signals, { profile } = {}) {
+  const scoringProfile = getScoringProfile(profile);
+  console.log(`[Scoring] Scoring ${narratives.length} narratives against ${signals.length} signals (profile: ${scoringProfile.name})...`);
+
+  const measured = narratives.map(n => ({ ...n, ...measureSignalMatch(n, signals) }));
+  const scored = rankUnderProfile(measured, scoringProfile);
+
   console.log(`[Scoring] Top narrative: "${scored[0]?.name}" (score: ${scored[0]?.totalScore})`);
   return scored;
 }
 
+/**
+ * Re-rank already scored narratives under another profile (no LLM, no signals needed)
+ * @param {Array} narratives - Stored narratives
+ * @param {string} profileName
+ * @returns {Array} Re-scored copies, sorted and re-ranked
+ */
+function rescoreNarratives(narratives, profileName) {
+  return rankUnderProfile(narratives, getScoringProfile(profileName));
+}
+
+/**
+ * Per-component score breakdown for a narrative
+ * @returns {Array} [{ key, label, score, max }]
+ */
+function getScoreBreakdown(narrative, profileName) {
+  const profile = profileName ? getScoringProfile(profileName) : getStoredProfile(narrative.scoringProfile);
+  return Object.entries(profile.components).map(([key, c]) => ({
+    key,
+    label: c.label || key,
+    score: narrative.scores?.[key] ?? 0,
+    max: c.max,
+  }));
+}
+
 /**
  * Get a human-readable score breakdown
+ * @param {Object} narrative
+ * @param {string} [profileName] - Defaults to the profile the narrative was scored with
  */
-function explainScore(narrative) {
+function explainScore(narrative, profileName) {
   if (!narrative.scores) return 'No scoring data';
 
-  const lines = [
-    `Cross-source strength: ${narrative.scores.crossSource}/30`,
-    `Evidence quality: ${narrative.scores.evidence}/25`,
-    `Velocity: ${narrative.scores.velocity}/20 (${narrative.velocity || 'unknown'})`,
-    `Stage: ${narrative.scores.stage}/15 (${narrative.stage || 'unknown'})`,
-    `AI confidence: ${narrative.scores.confidence}/10`,
-    `Signal match: ${narrative.scores.signalCount}/10 (${narrative.matchingSignalCount || 0} signals)`,
-    `─────────`,
-    `TOTAL: ${narrative.totalScore}/110`,
-  ];
+  const profile = profileName ? getScoringProfile(profileName) : getStoredProfile(narrative.scoringProfile);
+  const lines = Object.entries(profile.components).map(([key, c]) => {
+    let detail = '';
+    if (c.type === 'category') detail = ` (${narrative[c.field] || 'unknown'})`;
+    if (c.type === 'signals') {
+      const { count, weight } = signalStrength(narrative, c);
+      detail = ` (${count} ${c.source ? `${c.source} ` : ''}signals${c.weighted === false ? '' : `, weight ${weight}`})`;
+    }
+    if (c.type === 'sentiment') {
+      const shift = sentimentShift(narrative, c.scope);
+      detail = ` (${shift === null ? 'no baseline' : `shift ${shift >= 0 ? '+' : ''}${shift}`}${c.scope === 'kol' ? ' among KOLs' : ''})`;
+    }
+    return `${c.label || key}: ${narrative.scores[key] ?? 0}/${c.max}${detail}`;
+  });
+
+  lines.push('─────────');
+  lines.push(`TOTAL: ${narrative.totalScore}/${profile.maxScore} (${profile.label || profile.name} profile)`);
 
   return lines.join('\n');
 }
 
 module.exports = {
+  loadScoringProfiles,
+  listScoringProfiles,
+  getScoringProfile,
+  getStoredProfile,
+  getActiveProfileName,
   scoreNarratives,
+  rescoreNarratives,
+  getScoreBreakdown,
   explainScore,
 };
@@ -0,0 +1,291 @@
+/**
+ * Signal Sentiment — local, crypto-aware lexicon scoring
+ *
+ * Only the X collectors get a sentiment label from the model, and only as
+ * positive/negative/neutral. This scores every signal with text locally:
+ * a crypto lexicon ("rug", "exploit", "ship", "ATH", 🚀, 💀 …) with
+ * multi-word phrases, negation ("not bullish") and intensifiers ("very"),
+ * squashed into a polarity in [-1, 1] the way VADER does (x / √(x² + 15)).
+ *
+ * Polarity is aggregated per source, per topic and per narrative; a
+ * narrative's shift against its own history (overall and among KOLs) feeds
+ * the `sentiment` scoring component.
+ */
+const { canonicalizeTopics } = require('./taxonomy');
+const { credibilityWeight } = require('./credibility');
+
+const LABEL_THRESHOLD = 0.15;  // |polarity| below this is neutral
+const NEGATION_SPAN = 3;       // tokens after a negator whose polarity is flipped
+
+// Phrases are matched before single words (and their words are not scored again)
+const PHRASES = {
+  'rug pull': -3.5, 'rugged': -3, 'exit scam': -3.5, 'to the moon': 2.5, 'all time high': 2.5,
+  'new ath': 2.5, 'bear market': -2, 'bull market': 2, 'paper hands': -1, 'diamond hands': 1.5,
+  'went down': -1.5, 'going down': -1.5, 'goes down': -1.5, 'is down': -1.5,
+  'network outage': -3, 'halted': -2.5, 'not working': -2, 'sold off': -2, 'sell off': -2,
+  'game changer': 2.5, 'product market fit': 2, 'record high': 2.5, 'record volume': 2,
+  'mainnet launch': 2, 'just shipped': 2, 'now live': 2, 'funding round': 1.5, 'raised': 1.5,
+};
+
+const WORDS = {
+  // Positive
+  bullish: 2.5, bull: 1.5, moon: 2, mooning: 2.5, pump: 1, pumping: 1.5, rally: 2, rallying: 2,
+  breakout: 2, surge: 2, surging: 2, soar: 2.5, soaring: 2.5, skyrocket: 3, ath: 2.5, gains: 1.5,
+  growth: 1.5, growing: 1.5, grow: 1, adoption: 1.5, launch: 1, launched: 1.5, launching: 1,
+  ship: 1.5, shipped: 2, shipping: 1.5, live: 1, integrated: 1.5, integration: 1, partnership: 1.5,
+  partner: 1, upgrade: 1.5, upgraded: 1.5, innovative: 2, innovation: 2, massive: 1.5, huge: 1.5,
+  strong: 1.5, stronger: 1.5, best: 2, better: 1.5, great: 2, amazing: 2.5, awesome: 2.5,
+  excited: 2, exciting: 2, love: 2, win: 2, winning: 2, wins: 2, success: 2, successful: 2,
+  record: 1, milestone: 2, momentum: 1, undervalued: 1.5, gem: 1.5, alpha: 1, fast: 1, faster: 1.5,
+  cheap: 0.5, efficient: 1.5, secure: 1.5, robust: 1.5, scalable: 1.5, opportunity: 1.5,
+  recover: 1.5, recovered: 1.5, recovery: 1.5, resilient: 1.5, profitable: 2, profit: 1.5,
+  wagmi: 2, lfg: 2.5, gm: 0.5, based: 1, funded: 1.5, backed: 1, accelerating: 1.5, thriving: 2.5,
+  // Negative
+  bearish: -2.5, bear: -1.5, dump: -2, dumping: -2.5, dumped: -2, crash: -3, crashed: -3,
+  crashing: -3, plunge: -2.5, plunged: -2.5, tank: -2, tanking: -2.5, tanked: -2.5, drop: -1.5,
+  dropped: -1.5, decline: -1.5, declining: -1.5, down: -0.5, loss: -2, losses: -2, lost: -1.5,
+  rug: -3, rugs: -3, scam: -3, scams: -3, scammer: -3, fraud: -3.5, hack: -3, hacked: -3.5,
+  exploit: -3, exploited: -3.5, drained: -3.5, drain: -2.5, vulnerability: -2.5, bug: -1.5,
+  bugs: -1.5, outage: -3, outages: -3, downtime: -2.5, congestion: -1.5, congested: -1.5,
+  failed: -2, failing: -2, fail: -2, failure: -2, broken: -2, dead: -2.5, dying: -2.5,
+  delay: -1, delayed: -1.5, risk: -1, risky: -1.5, concern: -1.5, concerns: -1.5, worried: -1.5,
+  fear: -2, fud: -1.5, panic: -2.5, capitulation: -2.5, liquidated: -2.5, liquidation: -1.5,
+  insolvent: -3.5, bankrupt: -3.5, lawsuit: -2.5, sued: -2.5, ban: -2, banned: -2.5,
+  overvalued: -1.5, overhyped: -2, hype: -0.5, ponzi: -3.5, shitcoin: -2, exit: -0.5,
+  slow: -1, slower: -1.5, expensive: -1, worst: -2.5, worse: -2, bad: -2, terrible: -3,
+  ngmi: -2.5, rekt: -2.5, bleeding: -2, weak: -1.5, weakness: -1.5, sold: -0.5, unlock: -1,
+  unlocks: -1, dilution: -1.5, abandoned: -2.5, stagnant: -1.5, sunset: -1.5, deprecated: -1,
+};
+
+const EMOJI = {
+  '🚀': 2, '🔥': 1.5, '🌕': 2, '💎': 1.5, '📈': 2, '🟢': 1, '✅': 1, '💪': 1.5, '🎉': 2, '👀': 0.5,
+  '📉': -2, '💀': -2, '🔴': -1, '⚠️': -1.5, '🚨': -1.5, '😱': -2, '🤡': -2, '😭': -1.5, '🩸': -2,
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', 'nothing', 'none', 'neither', 'nor', 'without', 'isnt', 'arent', 'wasnt', 'dont', 'doesnt', 'didnt', 'cant', 'cannot', 'wont', 'aint', 'hardly']);
+const INTENSIFIERS = { very: 1.3, extremely: 1.5, super: 1.3, really: 1.2, so: 1.15, insanely: 1.5, incredibly: 1.4, absolutely: 1.3, massively: 1.4, slightly: 0.6, somewhat: 0.7, barely: 0.5 };
+
+// ==========================================
+// Scoring
+// ==========================================
+
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9$#@\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Score a text
+ * @param {string} text
+ * @returns {Object|null} { polarity: -1..1, label, hits } — null when there is nothing to score
+ */
+function scoreSentiment(text) {
+  if (!text || !String(text).trim()) return null;
+
+  const tokens = tokenize(text);
+  let total = 0;
+  let hits = 0;
+
+  for (const [emoji, weight] of Object.entries(EMOJI)) {
+    const count = String(text).split(emoji).length - 1;
+    if (count > 0) {
+      total += weight * Math.min(count, 3);
+      hits += count;
+    }
+  }
+  if (tokens.length === 0 && hits === 0) return null;
+
+  const consumed = new Set();
+  const joined = ` ${tokens.join(' ')} `;
+  for (const [phrase, weight] of Object.entries(PHRASES)) {
+    let at = joined.indexOf(` ${phrase} `);
+    while (at !== -1) {
+      // Token index of the phrase start
+      const start = joined.slice(0, at).trim().split(' ').filter(Boolean).length;
+      const length = phrase.split(' ').length;
+      for (let i = start; i < start + length; i++) consumed.add(i);
+      total += applyModifiers(tokens, start, weight);
+      hits++;
+      at = joined.indexOf(` ${phrase} `, at + 1);
+    }
+  }
+
+  tokens.forEach((token, i) => {
+    if (consumed.has(i)) return;
+    const weight = WORDS[token.replace(/^[#$]/, '')];
+    if (weight === undefined) return;
+    total += applyModifiers(tokens, i, weight);
+    hits++;
+  });
+
+  const polarity = total === 0 ? 0 : total / Math.sqrt(total * total + 15);
+  return { polarity: round(polarity), label: labelFor(polarity), hits };
+}
+
+/**
+ * Apply a preceding intensifier and any negator within NEGATION_SPAN tokens
+ */
+function applyModifiers(tokens, index, weight) {
+  let value = weight;
+  const previous = tokens[index - 1];
+  if (previous && INTENSIFIERS[previous]) value *= INTENSIFIERS[previous];
+
+  for (let i = Math.max(0, index - NEGATION_SPAN); i < index; i++) {
+    if (NEGATORS.has(tokens[i])) {
+      value *= -0.75;
+      break;
+    }
+  }
+  return value;
+}
+
+function labelFor(polarity) {
+  if (polarity >= LABEL_THRESHOLD) return 'positive';
+  if (polarity <= -LABEL_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Text of a signal worth scoring (repo names and tickers carry no sentiment)
+ */
+function signalText(signal) {
+  return [signal.text, signal.keyInsight].filter(Boolean).join('. ');
+}
+
+/**
+ * Polarity of a signal, scoring it on the fly when it predates local scoring
+ */
+function polarityOf(signal) {
+  if (typeof signal.sentimentScore === 'number') return signal.sentimentScore;
+  if (signal.sentimentScore === null) return null;
+  return scoreSentiment(signalText(signal))?.polarity ?? null;
+}
+
+// ==========================================
+// Aggregation
+// ==========================================
+
+/**
+ * Weighted mean polarity of a set of signals (credibility as weights)
+ * @returns {Object} { mean, count, positive, negative, neutral } — mean is null without scored signals
+ */
+function aggregateSentiment(signals) {
+  let weighted = 0;
+  let weights = 0;
+  const summary = { mean: null, count: 0, positive: 0, negative: 0, neutral: 0 };
+
+  for (const s of signals) {
+    const polarity = polarityOf(s);
+    if (polarity === null) continue;
+    const weight = credibilityWeight(s);
+    weighted += polarity * weight;
+    weights += weight;
+    summary.count++;
+    summary[labelFor(polarity)]++;
+  }
+
+  if (weights > 0) summary.mean = round(weighted / weights);
+  return summary;
+}
+
+/**
+ * Sentiment per source and per topic (for /api/stats)
+ * @param {Array} signals
+ * @param {number} [topicLimit=30] - Most frequent topics to report
+ */
+function getSentimentStats(signals, topicLimit = 30) {
+  const bySource = {};
+  const byTopic = {};
+
+  for (const s of signals) {
+    (bySource[s.source] = bySource[s.source] || []).push(s);
+    for (const topic of s.topics || []) {
+      (byTopic[topic] = byTopic[topic] || []).push(s);
+    }
+  }
+
+  return {
+    overall: aggregateSentiment(signals),
+    bySource: Object.fromEntries(Object.entries(bySource).map(([source, list]) => [source, aggregateSentiment(list)])),
+    byTopic: Object.entries(byTopic)
+      .sort((a, b) => b[1].length - a[1].length)
+      .slice(0, topicLimit)
+      .map(([topic, list]) => ({ topic, ...aggregateSentiment(list) })),
+  };
+}
+
+function isKol(signal) {
+  return signal.subSource === 'kol' || (signal.foundBy || []).some(f => f.subSource === 'kol');
+}
+
+/**
+ * Current sentiment of each narrative and its shift against earlier snapshots
+ * @param {Array} narratives
+ * @param {Array} signals - Current signals (rolling window)
+ * @param {Array} history - Signal snapshots, newest first (the newest is part of the window)
+ * @returns {Array} Narratives with `sentiment: { current, baseline, shift, kol: { current, baseline, shift }, count }`
+ */
+function measureNarrativeSentiment(narratives, signals, history = []) {
+  const withTopics = list => list.map(s => ({
+    signal: s,
+    topics: canonicalizeTopics(s.rawTopics || s.topics || []).topics,
+  }));
+  const currentSignals = withTopics(signals);
+  const baselineSignals = withTopics(history.slice(1).filter(h => Array.isArray(h.signals)).flatMap(h => h.signals));
+  console.log(`[Sentiment] Measuring ${narratives.length} narratives against ${baselineSignals.length} earlier signals...`);
+
+  return narratives.map(narrative => {
+    const topics = new Set((narrative.topics || []).map(t => t.toLowerCase()));
+    const cited = new Set(narrative.signalIds || []);
+    const matching = list => list
+      .filter(({ signal, topics: signalTopics }) => cited.has(signal.id) || signalTopics.some(t => topics.has(t)))
+      .map(({ signal }) => signal);
+
+    const now = matching(currentSignals);
+    const before = matching(baselineSignals);
+
+    const current = aggregateSentiment(now);
+    const past = aggregateSentiment(before);
+    const kolNow = aggregateSentiment(now.filter(isKol));
+    const kolPast = aggregateSentiment(before.filter(isKol));
+
+    return {
+      ...narrative,
+      sentiment: {
+        current: current.mean,
+        baseline: past.mean,
+        shift: shiftOf(current.mean, past.mean),
+        count: current.count,
+        positive: current.positive,
+        negative: current.negative,
+        kol: {
+          current: kolNow.mean,
+          baseline: kolPast.mean,
+          shift: shiftOf(kolNow.mean, kolPast.mean),
+          count: kolNow.count,
+        },
+      },
+    };
+  });
+}
+
+function shiftOf(current, baseline) {
+  return current === null || baseline === null ? null : round(current - baseline);
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+module.exports = {
+  scoreSentiment,
+  signalText,
+  aggregateSentiment,
+  getSentimentStats,
+  measureNarrativeSentiment,
+};
@@ -0,0 +1,276 @@
+/**
+ * Signal Query — filtering, search, sorting and pagination over the signal window
+ *
+ * Backs GET /api/signals (and any signal explorer built on it):
+ * - Filters   — source, subSource, signalType, sentiment, username (each a
+ *               comma-separated list, any value matches), topic (any or all,
+ *               aliases resolved through the taxonomy), date range, minimum
+ *               stars / market cap
+ * - Search    — `q` over title and text; every term (or "quoted phrase")
+ *               must appear, case-insensitive
+ * - Sorting   — date, stars, marketCap or engagement, desc or asc; signals
+ *               without the metric go last, ties by date then id
+ * - Paging    — opaque keyset cursor (the last signal's sort key), so pages
+ *               stay stable while the window changes between requests
+ * - Facets    — counts per dimension over the matching signals, each
+ *               ignoring its own filter so the other values stay visible
+ */
+const { canonicalizeTopic, slugify } = require('./taxonomy');
+
+const SORT_FIELDS = ['date', 'stars', 'marketCap', 'engagement'];
+const ENGAGEMENT_RANK = { high: 3, medium: 2, low: 1 };
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_FACET_VALUES = 25;      // topic / username facets list the most frequent values
+const STAR_THRESHOLDS = [10, 100, 1000, 10000];
+const MARKET_CAP_THRESHOLDS = [100000, 1000000, 10000000, 100000000];
+
+// ==========================================
+// Query Parsing
+// ==========================================
+
+function list(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+function searchTerms(q) {
+  if (!q || !String(q).trim()) return null;
+  const terms = [];
+  for (const [, phrase, word] of String(q).matchAll(/"([^"]+)"|(\S+)/g)) {
+    terms.push((phrase || word).toLowerCase());
+  }
+  return terms;
+}
+
+function topicKey(topic) {
+  return canonicalizeTopic(topic)?.topic || slugify(topic);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    return Array.isArray(cursor?.after) ? cursor : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse and validate query-string parameters
+ * @param {Object} params - e.g. req.query
+ * @returns {Object} { query } or { error } with a message for a 400 response
+ */
+function parseSignalQuery(params = {}) {
+  const from = params.from ? Date.parse(params.from) : null;
+  const to = params.to ? Date.parse(params.to) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'from and to must be dates or ISO timestamps' };
+  }
+
+  const minStars = params.minStars !== undefined ? Number(params.minStars) : null;
+  const minMarketCap = params.minMarketCap !== undefined ? Number(params.minMarketCap) : null;
+  if (Number.isNaN(minStars) || Number.isNaN(minMarketCap)) {
+    return { error: 'minStars and minMarketCap must be numbers' };
+  }
+
+  const topicMatch = params.topicMatch || 'any';
+  if (!['any', 'all'].includes(topicMatch)) {
+    return { error: 'topicMatch must be one of: any, all' };
+  }
+
+  const sort = params.sort || 'date';
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  const order = params.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be one of: asc, desc' };
+  }
+
+  let cursor = null;
+  if (params.cursor) {
+    cursor = decodeCursor(params.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+    if (cursor.sort !== sort || cursor.order !== order) {
+      return { error: 'cursor was issued for a different sort — start again without it' };
+    }
+  }
+
+  const topics = list(params.topic);
+
+  return {
+    query: {
+      filters: {
+        source: list(params.source),
+        subSource: list(params.subSource),
+        signalType: list(params.signalType),
+        sentiment: list(params.sentiment),
+        username: list(params.username)?.map(u => u.replace(/^@/, '').toLowerCase()) || null,
+        topic: topics ? { topics: [...new Set(topics.map(topicKey).filter(Boolean))], match: topicMatch } : null,
+        date: from !== null || to !== null ? { from, to } : null,
+        minStars,
+        minMarketCap,
+        q: searchTerms(params.q),
+      },
+      sort,
+      order,
+      limit: Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+      cursor,
+    },
+  };
+}
+
+// ==========================================
+// Filters
+// ==========================================
+
+// Each filter dimension: does a signal pass the given (non-null) filter value?
+const MATCHERS = {
+  source: (s, values) => values.includes(s.source),
+  subSource: (s, values) => values.includes(s.subSource),
+  signalType: (s, values) => values.includes(s.signalType),
+  sentiment: (s, values) => values.includes(s.sentiment),
+  username: (s, values) => !!s.username && values.includes(s.username.replace(/^@/, '').toLowerCase()),
+  topic: (s, { topics, match }) => {
+    const own = s.topics || [];
+    return match === 'all' ? topics.every(t => own.includes(t)) : topics.some(t => own.includes(t));
+  },
+  date: (s, { from, to }) => {
+    const time = Date.parse(s.date);
+    return (from === null || time >= from) && (to === null || time <= to);
+  },
+  minStars: (s, min) => (s.stars || 0) >= min,
+  minMarketCap: (s, min) => (s.marketCap || 0) >= min,
+  q: (s, terms) => {
+    const haystack = `${s.title || ''}\n${s.text || ''}`.toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  },
+};
+
+function matches(signal, filters, skip = null) {
+  for (const [dimension, value] of Object.entries(filters)) {
+    if (value === null || dimension === skip) continue;
+    if (!MATCHERS[dimension](signal, value)) return false;
+  }
+  return true;
+}
+
+// ==========================================
+// Sorting & Cursor
+// ==========================================
+
+function sortValue(signal, sort) {
+  switch (sort) {
+    case 'stars': return typeof signal.stars === 'number' ? signal.stars : null;
+    case 'marketCap': return typeof signal.marketCap === 'number' ? signal.marketCap : null;
+    case 'engagement': return ENGAGEMENT_RANK[signal.engagement] ?? null;
+    default: return Date.parse(signal.date) || 0;
+  }
+}
+
+/**
+ * Sort key of a signal: [value, date, id]
+ */
+function sortKey(signal, sort) {
+  return [sortValue(signal, sort), Date.parse(signal.date) || 0, signal.id];
+}
+
+/**
+ * Compare two sort keys in result order (missing values last, ties newest first, then by id)
+ */
+function compareKeys(a, b, order) {
+  if (a[0] !== b[0]) {
+    if (a[0] === null) return 1;
+    if (b[0] === null) return -1;
+    return order === 'asc' ? a[0] - b[0] : b[0] - a[0];
+  }
+  if (a[1] !== b[1]) return b[1] - a[1];
+  return String(a[2]).localeCompare(String(b[2]));
+}
+
+// ==========================================
+// Facets
+// ==========================================
+
+function countBy(signals, valuesOf) {
+  const counts = {};
+  for (const s of signals) {
+    for (const value of valuesOf(s)) {
+      if (value === null || value === undefined || value === '') continue;
+      counts[value] = (counts[value] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+function topValues(counts, limit = MAX_FACET_VALUES) {
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, limit));
+}
+
+function thresholdCounts(signals, field, thresholds) {
+  return Object.fromEntries(thresholds.map(t => [t, signals.filter(s => (s[field] || 0) >= t).length]));
+}
+
+/**
+ * Facet counts — each dimension counts signals matching every other filter
+ */
+function buildFacets(signals, filters) {
+  const without = dimension => signals.filter(s => matches(s, filters, dimension));
+
+  return {
+    source: countBy(without('source'), s => [s.source]),
+    subSource: countBy(without('subSource'), s => [s.subSource]),
+    signalType: countBy(without('signalType'), s => [s.signalType]),
+    sentiment: countBy(without('sentiment'), s => [s.sentiment]),
+    topic: topValues(countBy(without('topic'), s => s.topics || [])),
+    username: topValues(countBy(without('username'), s => [s.username?.replace(/^@/, '').toLowerCase()])),
+    date: countBy(without('date'), s => [String(s.date || '').slice(0, 10)]),
+    minStars: thresholdCounts(without('minStars'), 'stars', STAR_THRESHOLDS),
+    minMarketCap: thresholdCounts(without('minMarketCap'), 'marketCap', MARKET_CAP_THRESHOLDS),
+  };
+}
+
+// ==========================================
+// Query
+// ==========================================
+
+/**
+ * Run a parsed query over a list of signals
+ * @param {Array} signals - Normalized signals
+ * @param {Object} query - From parseSignalQuery
+ * @param {Object} [options]
+ * @param {boolean} [options.facets=true] - Include facet counts
+ * @returns {Object} { matched, signals, nextCursor, facets }
+ */
+function querySignals(signals, query, { facets = true } = {}) {
+  const { filters, sort, order, limit, cursor } = query;
+
+  const keyed = signals
+    .filter(s => matches(s, filters))
+    .map(s => ({ signal: s, key: sortKey(s, sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, order));
+
+  const start = cursor ? keyed.filter(k => compareKeys(k.key, cursor.after, order) > 0) : keyed;
+  const page = start.slice(0, limit);
+  const hasMore = start.length > limit;
+
+  return {
+    matched: keyed.length,
+    signals: page.map(k => k.signal),
+    nextCursor: hasMore ? encodeCursor({ sort, order, after: page[page.length - 1].key }) : null,
+    facets: facets ? buildFacets(signals, filters) : null,
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseSignalQuery,
+  querySignals,
+};
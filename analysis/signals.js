@@ -1,9 +1,24 @@
 /**
  * Signal Normalizer — Unified signal format & pre-processing
  * 
- * Takes raw signals from all 4 sources and normalizes them into
+ * Takes raw signals from all collectors and normalizes them into
  * a consistent format for clustering and scoring.
+ *
+ * Topic tags are mapped onto the topic taxonomy (analysis/taxonomy.js):
+ * `topics` holds canonical topics (plus their parents, and any tags the
+ * taxonomy does not know yet), `rawTopics` the tags as collected.
+ *
+ * The same item found by several collectors is merged into one signal
+ * (analysis/dedup.js); `foundBy` lists every source/subSource/query that
+ * surfaced it.
+ *
+ * Every signal with text gets a local lexicon polarity (`sentimentScore`,
+ * -1..1, analysis/sentiment.js); `sentiment` keeps the collector's label
+ * when it supplied one and is derived from the polarity otherwise.
  */
+const { canonicalizeTopics } = require('./taxonomy');
+const { identityKey, groupDuplicates, mergeDuplicates, dedupeSignals, mergeFoundBy } = require('./dedup');
+const { scoreSentiment, signalText } = require('./sentiment');
 
 /**
  * Normalize a raw signal into unified format
@@ -11,14 +26,23 @@
  * @returns {Object} Normalized signal
  */
 function normalizeSignal(raw) {
+  const rawTopics = dedupeTopics(raw.topics || []);
+  const source = raw.source || 'unknown';
+  const subSource = raw.subSource || raw.sub_source || 'unknown';
+  const query = raw.query || null;
+  const text = raw.text || raw.description || '';
+  const scored = scoreSentiment(signalText({ text, keyInsight: raw.keyInsight }));
+
   return {
     id: generateId(raw),
-    source: raw.source || 'unknown',
-    subSource: raw.subSource || raw.sub_source || 'unknown',
+    source,
+    subSource,
+    query,
+    foundBy: [{ source, subSource, query }],
     
     // Content
     title: raw.name || raw.title || extractTitle(raw),
-    text: raw.text || raw.description || '',
+    text,
     url: raw.url || raw.news_url || raw.html_url || null,
     
     // Metadata
@@ -26,8 +50,10 @@ function normalizeSignal(raw) {
     collectedAt: raw.collectedAt || new Date().toISOString(),
     
     // Classification
-    topics: dedupeTopics(raw.topics || []),
-    sentiment: raw.sentiment || 'neutral',
+    topics: canonicalizeTopics(rawTopics).topics,
+    rawTopics,
+    sentiment: raw.sentiment || scored?.label || 'neutral',
+    sentimentScore: scored ? scored.polarity : null,
     signalType: raw.signalType || classifySignalType(raw),
     
     // Metrics (source-specific)
@@ -37,6 +63,7 @@ function normalizeSignal(raw) {
     
     // Source-specific extras
     username: raw.username || null,
+    accountTier: raw.accountTier || null,
     ticker: raw.ticker || null,
     address: raw.address || null,
     keyInsight: raw.keyInsight || null,
@@ -46,12 +73,16 @@ function normalizeSignal(raw) {
 
 /**
  * Generate a simple ID for deduplication
+ * Items with an identity key (tweet, repo, token, content URL) get the same
+ * id whichever collector found them. Without one the URL is at best a
+ * profile or site link shared by many posts, so the text identifies them.
  */
 function generateId(raw) {
-  const parts = [
+  const key = identityKey(raw);
+  const parts = key ? [key] : [
     raw.source || '',
     raw.subSource || '',
-    raw.url || raw.name || raw.text?.substring(0, 50) || '',
+    raw.name || raw.text?.substring(0, 50) || raw.url || '',
   ];
   // Simple hash
   let hash = 0;
@@ -102,21 +133,13 @@ function dedupeTopics(topics) {
 }
 
 /**
- * Batch normalize all signals and remove duplicates
+ * Batch normalize all signals and merge duplicates
+ * (same tweet / repo / token / URL, or near-identical text)
  * @param {Array} rawSignals - Array of raw signals from all sources
  * @returns {Array} De-duplicated, normalized signals
  */
 function normalizeAll(rawSignals) {
-  const seen = new Set();
-  const normalized = [];
-
-  for (const raw of rawSignals) {
-    const signal = normalizeSignal(raw);
-    if (!seen.has(signal.id)) {
-      seen.add(signal.id);
-      normalized.push(signal);
-    }
-  }
+  const { signals: normalized } = dedupeSignals(rawSignals.map(normalizeSignal));
 
   // Sort by date (newest first)
   normalized.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -124,33 +147,153 @@ function normalizeAll(rawSignals) {
   return normalized;
 }
 
+/**
+ * Merge a collection run into the rolling signal window
+ *
+ * Window and incoming signals are matched the way collectors' duplicates
+ * are (same id, identity key or near-identical text — analysis/dedup.js),
+ * so a re-sighted item is found whatever id it was stored or collected
+ * under. Re-sighted signals keep their window id and original `date` and
+ * take the newest observation's other fields (metrics, topics); every
+ * signal carries `firstSeen`, `lastSeen` and a `sightings` count.
+ * Duplicates already in the window are folded into one.
+ * Signals not seen within the last `windowDays` days are dropped.
+ *
+ * @param {Array} windowSignals - Current window (may be empty)
+ * @param {Array} incoming - Normalized signals from this collection
+ * @param {Object} [options]
+ * @param {number} [options.windowDays=14]
+ * @param {string} [options.now] - ISO timestamp of this collection
+ * @returns {Object} { signals, added, updated, expired }
+ */
+function mergeSignalWindow(windowSignals, incoming, { windowDays = 14, now = new Date().toISOString() } = {}) {
+  // Re-map carried-over signals so taxonomy edits apply to the whole window
+  const carried = (windowSignals || []).map(s => {
+    const rawTopics = s.rawTopics || s.topics || [];
+    return {
+      ...s,
+      rawTopics,
+      topics: canonicalizeTopics(rawTopics).topics,
+      foundBy: s.foundBy || [{ source: s.source, subSource: s.subSource, query: s.query || null }],
+      sentimentScore: s.sentimentScore !== undefined ? s.sentimentScore : scoreSentiment(signalText(s))?.polarity ?? null,
+    };
+  });
+  const inWindow = new Set(carried);
+
+  const merged = [];
+  let added = 0;
+  let updated = 0;
+
+  for (const group of groupDuplicates([...carried, ...incoming])) {
+    const previous = group.filter(s => inWindow.has(s));
+    const observed = group.filter(s => !inWindow.has(s));
+    const prev = previous.length > 0 ? foldWindowDuplicates(previous, now) : null;
+
+    if (observed.length === 0) {
+      merged.push(prev);
+      continue;
+    }
+
+    const signal = mergeDuplicates(observed);
+    if (!prev) {
+      merged.push({ ...signal, firstSeen: now, lastSeen: now, sightings: 1 });
+      added++;
+      continue;
+    }
+
+    merged.push({
+      ...prev,
+      ...signal,
+      id: prev.id,
+      date: prev.date || signal.date,
+      foundBy: mergeFoundBy(prev.foundBy, signal.foundBy),
+      firstSeen: prev.firstSeen || prev.collectedAt || now,
+      lastSeen: now,
+      sightings: (prev.sightings || 1) + 1,
+    });
+    updated++;
+  }
+
+  // Drop signals that have not been seen within the window
+  const cutoff = new Date(now).getTime() - windowDays * 24 * 60 * 60 * 1000;
+  const signals = [];
+  let expired = 0;
+
+  for (const s of merged) {
+    const lastSeen = new Date(s.lastSeen || s.collectedAt || s.date).getTime();
+    if (lastSeen >= cutoff) signals.push(s);
+    else expired++;
+  }
+
+  signals.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return { signals, added, updated, expired };
+}
+
+/**
+ * Fold window signals that turned out to be one item (e.g. stored under
+ * ids from before identity keys) into one, keeping the widest sighting span
+ */
+function foldWindowDuplicates(signals, now) {
+  if (signals.length === 1) return signals[0];
+
+  const seen = s => s.firstSeen || s.collectedAt || now;
+  return {
+    ...mergeDuplicates(signals),
+    firstSeen: signals.map(seen).sort()[0],
+    lastSeen: signals.map(s => s.lastSeen || seen(s)).sort().pop(),
+    sightings: Math.max(...signals.map(s => s.sightings || 1)),
+  };
+}
+
+/**
+ * Topic counts sorted by frequency
+ */
+function rankTopics(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 30)
+    .map(([topic, count]) => ({ topic, count }));
+}
+
 /**
  * Get signal statistics
+ * Topic counts are reported both canonical (parents include their children)
+ * and raw, as collected.
  */
 function getSignalStats(signals) {
   const bySource = {};
   const byType = {};
-  const allTopics = {};
+  const canonicalTopics = {};
+  const rawTopics = {};
+  const unmappedTags = new Set();
 
   for (const s of signals) {
     bySource[s.source] = (bySource[s.source] || 0) + 1;
     byType[s.signalType] = (byType[s.signalType] || 0) + 1;
-    for (const t of s.topics) {
-      allTopics[t] = (allTopics[t] || 0) + 1;
+
+    const raw = s.rawTopics || s.topics;
+    const mapped = canonicalizeTopics(raw);
+    mapped.unmapped.forEach(t => unmappedTags.add(t));
+    for (const t of mapped.topics) {
+      canonicalTopics[t] = (canonicalTopics[t] || 0) + 1;
+    }
+    for (const t of raw) {
+      rawTopics[t] = (rawTopics[t] || 0) + 1;
     }
   }
 
-  // Top topics sorted by frequency
-  const topTopics = Object.entries(allTopics)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 30)
-    .map(([topic, count]) => ({ topic, count }));
-
   return {
     total: signals.length,
     bySource,
     byType,
-    topTopics,
+    topTopics: rankTopics(canonicalTopics),
+    topRawTopics: rankTopics(rawTopics),
+    topicCounts: {
+      raw: Object.keys(rawTopics).length,
+      canonical: Object.keys(canonicalTopics).length,
+      unmapped: unmappedTags.size,
+    },
     dateRange: {
       earliest: signals.length > 0 ? signals[signals.length - 1].date : null,
       latest: signals.length > 0 ? signals[0].date : null,
@@ -161,5 +304,6 @@ function getSignalStats(signals) {
 module.exports = {
   normalizeSignal,
   normalizeAll,
+  mergeSignalWindow,
   getSignalStats,
 };
@@ -0,0 +1,287 @@
+/**
+ * Topic Taxonomy — map raw topic tags onto canonical topics
+ *
+ * Collectors tag signals with whatever the model or the API hands back:
+ * "AI agents", "ai_agent", "agents" and the GitHub category "ai_agents" all
+ * mean the same thing. The taxonomy (config/topic-taxonomy.json, or
+ * TOPIC_TAXONOMY_PATH) lists canonical topics, each with:
+ * - label    — display name
+ * - aliases  — raw tags that mean this topic
+ * - parent   — broader topic (defi > lending); signals tagged with a child
+ *              also carry its ancestors, so they count towards the parent
+ *
+ * Tags are matched on a slug (lowercase, non-alphanumerics → "_"), with
+ * configured prefixes such as "solana_" stripped and singular/plural
+ * variants tried. An optional fuzzy pass (edit distance) catches typos and
+ * near-spellings. Tags that still do not match are kept as-is and reported
+ * as unmapped, so the taxonomy can be curated from real data.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const TAXONOMY_PATH = process.env.TOPIC_TAXONOMY_PATH
+  || path.join(__dirname, '..', 'config', 'topic-taxonomy.json');
+
+// Every tag of every signal is canonicalized — stat the file at most this often
+const RECHECK_MS = 5000;
+
+let taxonomyCache = null;
+
+// ==========================================
+// Loading
+// ==========================================
+
+/**
+ * Slug used for matching (also the canonical topic id format)
+ */
+function slugify(tag) {
+  return String(tag).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Build lookup tables from the taxonomy file
+ */
+function buildTaxonomy(config) {
+  const topics = config.topics || {};
+  const lookup = new Map();
+
+  for (const [id, topic] of Object.entries(topics)) {
+    if (topic.parent && !topics[topic.parent]) {
+      throw new Error(`Topic "${id}" has unknown parent "${topic.parent}"`);
+    }
+    for (const alias of [id, ...(topic.aliases || [])]) {
+      const key = slugify(alias);
+      if (lookup.has(key) && lookup.get(key) !== id) {
+        console.warn(`[Taxonomy] Alias "${alias}" is claimed by both "${lookup.get(key)}" and "${id}" — keeping "${lookup.get(key)}"`);
+        continue;
+      }
+      lookup.set(key, id);
+    }
+  }
+
+  // Ancestor chains (root last), rejecting cycles
+  const ancestors = new Map();
+  for (const id of Object.keys(topics)) {
+    const chain = [];
+    let parent = topics[id].parent;
+    while (parent) {
+      if (parent === id || chain.includes(parent)) {
+        throw new Error(`Topic "${id}" has a cyclic parent chain`);
+      }
+      chain.push(parent);
+      parent = topics[parent].parent;
+    }
+    ancestors.set(id, chain);
+  }
+
+  return {
+    topics,
+    lookup,
+    ancestors,
+    stripPrefixes: (config.stripPrefixes || []).map(p => `${slugify(p)}_`),
+    fuzzy: { enabled: false, maxDistance: 2, minLength: 6, ...(config.fuzzy || {}) },
+    fuzzyCache: new Map(),
+  };
+}
+
+/**
+ * The taxonomy (re-read when the config file changes, checked at most
+ * every RECHECK_MS). While the file cannot be read or is invalid, the last
+ * loaded taxonomy stays in use — or an empty one (every tag unmapped)
+ * before any was loaded.
+ */
+function loadTaxonomy() {
+  const now = Date.now();
+  if (taxonomyCache && now - taxonomyCache.checkedAt < RECHECK_MS) return taxonomyCache.taxonomy;
+
+  try {
+    const { mtimeMs } = fs.statSync(TAXONOMY_PATH);
+    if (!taxonomyCache || taxonomyCache.mtimeMs !== mtimeMs) {
+      const config = JSON.parse(fs.readFileSync(TAXONOMY_PATH, 'utf8'));
+      taxonomyCache = { mtimeMs, taxonomy: buildTaxonomy(config) };
+    }
+  } catch (err) {
+    if (taxonomyCache?.mtimeMs !== null) {
+      console.warn(`[Taxonomy] Cannot load ${TAXONOMY_PATH} (${err.message}) — ${taxonomyCache ? 'keeping the last loaded taxonomy' : 'no topics are mapped'}`);
+    }
+    taxonomyCache = { mtimeMs: null, taxonomy: taxonomyCache?.taxonomy || buildTaxonomy({}) };
+  }
+  taxonomyCache.checkedAt = now;
+  return taxonomyCache.taxonomy;
+}
+
+// ==========================================
+// Matching
+// ==========================================
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Closest known alias to a slug
+ * @returns {Object|null} { topic, alias, distance }
+ */
+function nearestAlias(key, taxonomy, max) {
+  let nearest = null;
+  for (const [alias, topic] of taxonomy.lookup) {
+    const distance = editDistance(key, alias, nearest ? nearest.distance - 1 : max);
+    if (distance <= max && (!nearest || distance < nearest.distance)) {
+      nearest = { topic, alias, distance };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Candidate slugs for a tag: as written, without configured prefixes, and singular/plural
+ */
+function candidateKeys(key, taxonomy) {
+  const keys = [key];
+  for (const prefix of taxonomy.stripPrefixes) {
+    if (key.startsWith(prefix) && key.length > prefix.length) keys.push(key.slice(prefix.length));
+  }
+  for (const k of [...keys]) {
+    keys.push(k.endsWith('s') ? k.slice(0, -1) : `${k}s`);
+  }
+  return keys;
+}
+
+/**
+ * Map a single raw tag onto the taxonomy
+ * @param {string} tag
+ * @returns {Object|null} { topic, method: 'exact' | 'alias' | 'fuzzy' } or null when unmapped
+ */
+function canonicalizeTopic(tag) {
+  const taxonomy = loadTaxonomy();
+  const key = slugify(tag);
+  if (!key) return null;
+
+  for (const candidate of candidateKeys(key, taxonomy)) {
+    const topic = taxonomy.lookup.get(candidate);
+    if (topic) return { topic, method: candidate === topic ? 'exact' : 'alias' };
+  }
+
+  const { enabled, maxDistance, minLength } = taxonomy.fuzzy;
+  if (!enabled || key.length < minLength) return null;
+
+  if (!taxonomy.fuzzyCache.has(key)) {
+    // At most one edit per four characters, so short tags need to be close
+    const nearest = nearestAlias(key, taxonomy, Math.min(maxDistance, Math.floor(key.length / 4)));
+    taxonomy.fuzzyCache.set(key, nearest ? nearest.topic : null);
+  }
+  const topic = taxonomy.fuzzyCache.get(key);
+  return topic ? { topic, method: 'fuzzy' } : null;
+}
+
+/**
+ * Map a list of raw tags onto canonical topics
+ * @param {Array<string>} tags - Raw tags
+ * @param {Object} [options]
+ * @param {boolean} [options.expandParents=true] - Add the ancestors of every matched topic
+ * @returns {Object} { topics, unmapped } — topics keeps unmapped tags (as slugs) after the canonical ones
+ */
+function canonicalizeTopics(tags, { expandParents = true } = {}) {
+  const taxonomy = loadTaxonomy();
+  const canonical = [];
+  const unmapped = [];
+
+  for (const tag of tags || []) {
+    const match = canonicalizeTopic(tag);
+    if (!match) {
+      const key = slugify(tag);
+      if (key) unmapped.push(key);
+      continue;
+    }
+    canonical.push(match.topic);
+    if (expandParents) canonical.push(...taxonomy.ancestors.get(match.topic));
+  }
+
+  return {
+    topics: [...new Set([...canonical, ...unmapped])],
+    unmapped: [...new Set(unmapped)],
+  };
+}
+
+/**
+ * Display label for a topic id (null when it is not in the taxonomy)
+ */
+function getTopicLabel(topic) {
+  return loadTaxonomy().topics[topic]?.label || null;
+}
+
+// ==========================================
+// Curation
+// ==========================================
+
+/**
+ * Raw tags in a signal set that the taxonomy does not cover, most frequent first
+ * @param {Array} signals - Normalized signals (rawTopics, falling back to topics)
+ * @returns {Array} [{ tag, count, bySource, suggestion }]
+ */
+function findUnmappedTopics(signals) {
+  const taxonomy = loadTaxonomy();
+  const tags = new Map();
+
+  for (const s of signals) {
+    for (const tag of s.rawTopics || s.topics || []) {
+      if (canonicalizeTopic(tag)) continue;
+      const key = slugify(tag);
+      if (!key) continue;
+
+      const entry = tags.get(key) || { tag: key, count: 0, bySource: {} };
+      entry.count++;
+      entry.bySource[s.source] = (entry.bySource[s.source] || 0) + 1;
+      tags.set(key, entry);
+    }
+  }
+
+  return [...tags.values()]
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .map(entry => ({ ...entry, suggestion: suggestTopic(entry.tag, taxonomy) }));
+}
+
+/**
+ * Best guess for an unmapped tag — only a hint for whoever curates the file
+ * @returns {Object|null} { topic, via, distance } (distance null for a contained alias)
+ */
+function suggestTopic(key, taxonomy) {
+  // Looser than the fuzzy pass
+  const nearest = nearestAlias(key, taxonomy, Math.max(1, Math.floor(key.length / 3)));
+  if (nearest) return { topic: nearest.topic, via: nearest.alias, distance: nearest.distance };
+
+  // Longest run of words that is a known alias ("stablecoin_yield" → stablecoins)
+  const words = key.split('_');
+  for (let size = words.length - 1; size > 0; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      const part = words.slice(start, start + size).join('_');
+      if (taxonomy.lookup.has(part)) return { topic: taxonomy.lookup.get(part), via: part, distance: null };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  loadTaxonomy,
+  canonicalizeTopic,
+  canonicalizeTopics,
+  getTopicLabel,
+  findUnmappedTopics,
+  slugify,
+};
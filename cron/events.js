@@ -0,0 +1,66 @@
+/**
+ * Pipeline Events — in-process bus behind GET /api/events
+ *
+ * The scheduler and the job queue publish structured events as a run
+ * progresses; the API streams them to clients over Server-Sent Events.
+ *
+ * Event: { id, type, timestamp, jobId?, ...detail }
+ *   job:queued / job:started / job:done / job:failed
+ *   pipeline:start / pipeline:done / pipeline:failed   (collect, analyze, full)
+ *   step                                              (each named pipeline step)
+ *   collector:start / collector:done / collector:failed
+ *   normalize:done, cluster:done, score:done, ideas:narrative
+ *
+ * The last RECENT_EVENTS events are kept so a reconnecting client can
+ * catch up from its Last-Event-ID.
+ */
+const { EventEmitter } = require('events');
+
+const RECENT_EVENTS = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected client
+
+const recent = [];
+let nextId = 1;
+
+/**
+ * Publish an event to every subscriber
+ * @param {string} type - e.g. "collector:done"
+ * @param {Object} [detail]
+ * @returns {Object} The published event
+ */
+function publishEvent(type, detail = {}) {
+  const event = { id: nextId++, type, timestamp: new Date().toISOString(), ...detail };
+
+  recent.push(event);
+  if (recent.length > RECENT_EVENTS) recent.shift();
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Receive every event published from now on
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe
+ */
+function subscribeEvents(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Recent events published after a given id (oldest first)
+ * @param {number} [afterId=0]
+ * @returns {Array}
+ */
+function getEventsSince(afterId = 0) {
+  return recent.filter(e => e.id > afterId);
+}
+
+module.exports = {
+  publishEvent,
+  subscribeEvents,
+  getEventsSince,
+};
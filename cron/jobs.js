@@ -0,0 +1,330 @@
+/**
+ * Pipeline Jobs — asynchronous, persisted pipeline runs
+ *
+ * API triggers enqueue a job and return its id immediately instead of
+ * holding the HTTP request open for minutes. Jobs run one at a time in
+ * FIFO order. A trigger that arrives while a run is in flight joins the run
+ * if it covers the trigger and is turned away otherwise (see startJob).
+ *
+ * Each state change (queued → running → done/failed and per-step progress)
+ * is persisted through the storage adapter so job records survive a
+ * restart. It is also published as a live event (job:* plus the pipeline's
+ * own events tagged with the job id — see events.js).
+ */
+const crypto = require('crypto');
+
+const {
+  COLLECTION_STEPS,
+  ANALYSIS_STEPS,
+  runCollection,
+  runAnalysis,
+  runFull,
+  getCurrentRun,
+  runCovers,
+  joinCurrentRun,
+} = require('./scheduler');
+const { saveJob, loadJob, loadJobs } = require('../storage/store');
+const { publishEvent } = require('./events');
+
+const summarizeNarratives = (narratives) => narratives.map(n => ({
+  rank: n.rank,
+  name: n.name,
+  totalScore: n.totalScore,
+  buildIdeasCount: n.buildIdeas?.length || 0,
+  repeatedIdeasCount: (n.buildIdeas || []).filter(i => i.repeated).length,
+}));
+
+// Pipeline lock name of each job type (see scheduler.js)
+const JOB_PIPELINES = { collect: 'collect', analyze: 'analyze', 'full-run': 'full' };
+
+const summarizeTransitions = (transitions = []) => transitions.map(t => ({
+  name: t.name,
+  from: t.from,
+  to: t.to,
+}));
+
+/** Job types: step list, runner and result summary */
+const JOB_TYPES = {
+  collect: {
+    steps: COLLECTION_STEPS,
+    run: (params, hooks) => runCollection(params.dayRange, hooks),
+    summarize: (result) => ({
+      signalCount: result.signals.length,
+      collectedCount: result.collected.signalCount,
+      duplicatesMerged: result.collected.duplicatesMerged,
+      bySource: result.collected.stats.bySource,
+      validationFailures: result.collected.validationFailures,
+    }),
+  },
+  analyze: {
+    steps: ANALYSIS_STEPS,
+    run: (params, hooks) => runAnalysis(null, { ...hooks, clustering: params.clustering }),
+    summarize: (result) => ({
+      narrativeCount: result.narratives.length,
+      clusteringMethod: result.narratives[0]?.clusteringMethod || null,
+      breakouts: (result.breakouts || []).map(t => t.topic),
+      transitions: summarizeTransitions(result.transitions),
+      narratives: summarizeNarratives(result.narratives),
+      validationFailures: result.validationFailures?.length || 0,
+    }),
+  },
+  'full-run': {
+    steps: [
+      ...COLLECTION_STEPS.map(s => `collect:${s}`),
+      ...ANALYSIS_STEPS.map(s => `analyze:${s}`),
+    ],
+    run: (params, hooks) => runFull(params.dayRange, { ...hooks, clustering: params.clustering }),
+    summarize: (result) => ({
+      signalCount: result.signals.length,
+      collectedCount: result.collected.signalCount,
+      duplicatesMerged: result.collected.duplicatesMerged,
+      narrativeCount: result.narratives.length,
+      clusteringMethod: result.narratives[0]?.clusteringMethod || null,
+      breakouts: (result.breakouts || []).map(t => t.topic),
+      transitions: summarizeTransitions(result.transitions),
+      narratives: summarizeNarratives(result.narratives),
+      validationFailures: result.collected.validationFailures + (result.validationFailures?.length || 0),
+    }),
+  },
+};
+
+const queue = [];
+let activeJob = null;
+
+// Jobs that follow a cron / startup run: job id → that run's result promise
+const joinedRuns = new Map();
+
+// ==========================================
+// Job Records
+// ==========================================
+
+function createJobRecord(type, params) {
+  return {
+    id: `job_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+    type,
+    state: 'queued',
+    params,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    currentStep: null,
+    steps: JOB_TYPES[type].steps.map(name => ({
+      name,
+      state: 'pending',
+      startedAt: null,
+      finishedAt: null,
+      detail: null,
+    })),
+    result: null,
+    error: null,
+  };
+}
+
+function persist(job) {
+  try {
+    saveJob(job);
+  } catch (err) {
+    console.error(`[Jobs] Failed to persist ${job.id}:`, err.message);
+  }
+}
+
+/**
+ * Mark the running step done and start the next one
+ */
+function advanceStep(job, stepName, detail) {
+  const now = new Date().toISOString();
+
+  for (const step of job.steps) {
+    if (step.state === 'running') {
+      step.state = 'done';
+      step.finishedAt = now;
+    }
+  }
+
+  const step = job.steps.find(s => s.name === stepName);
+  if (step) {
+    step.state = 'running';
+    step.startedAt = now;
+    step.detail = detail || null;
+  }
+
+  job.currentStep = stepName;
+  persist(job);
+}
+
+function finishJob(job, state, fields = {}) {
+  const now = new Date();
+  for (const step of job.steps) {
+    if (step.state === 'running') {
+      step.state = state === 'done' ? 'done' : 'failed';
+      step.finishedAt = now.toISOString();
+    }
+  }
+
+  Object.assign(job, fields, {
+    state,
+    currentStep: null,
+    finishedAt: now.toISOString(),
+    durationMs: job.startedAt ? now - new Date(job.startedAt) : null,
+  });
+  persist(job);
+}
+
+// ==========================================
+// Queue Worker
+// ==========================================
+
+async function processQueue() {
+  if (activeJob) return;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    activeJob = job;
+
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    persist(job);
+    console.log(`[Jobs] ${job.id} (${job.type}) started`);
+    publishEvent('job:started', { jobId: job.id, jobType: job.type, steps: job.steps.map(s => s.name) });
+
+    const type = JOB_TYPES[job.type];
+    const onEvent = (eventType, detail) => publishEvent(eventType, { jobId: job.id, ...detail });
+    try {
+      const result = await (joinedRuns.get(job.id) || type.run(job.params, {
+        onProgress: (step, detail) => advanceStep(job, step, detail),
+        onEvent,
+        jobId: job.id,
+      }));
+      finishJob(job, 'done', { result: type.summarize(result) });
+      console.log(`[Jobs] ${job.id} done in ${Math.round(job.durationMs / 1000)}s`);
+      publishEvent('job:done', { jobId: job.id, jobType: job.type, durationMs: job.durationMs, result: job.result });
+    } catch (err) {
+      finishJob(job, 'failed', { error: err.message });
+      console.error(`[Jobs] ${job.id} failed:`, err.message);
+      publishEvent('job:failed', { jobId: job.id, jobType: job.type, durationMs: job.durationMs, error: err.message });
+    }
+    joinedRuns.delete(job.id);
+
+    activeJob = null;
+  }
+}
+
+/**
+ * Enqueue a pipeline job
+ * @param {'collect'|'analyze'|'full-run'} type
+ * @param {Object} [params] - e.g. { dayRange, clustering }
+ * @returns {Object} The queued job record
+ */
+function enqueueJob(type, params = {}) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+
+  return enqueue(createJobRecord(type, params));
+}
+
+function enqueue(job) {
+  persist(job);
+  queue.push(job);
+  console.log(`[Jobs] ${job.id} (${job.type}) queued — position ${queue.length}`);
+  publishEvent('job:queued', { jobId: job.id, jobType: job.type, position: queue.length });
+
+  // Start the worker without blocking the caller
+  setImmediate(() => {
+    processQueue().catch(err => console.error('[Jobs] Worker error:', err.message));
+  });
+
+  return job;
+}
+
+/**
+ * Start a pipeline job, unless a run is already in flight
+ *
+ * Follows the scheduler's join rule (runCovers): a queued or running job
+ * that covers the requested type (same type, or a full run) is returned
+ * instead of starting another run, and a covering cron / startup run gets a
+ * new job that joins it. Anything else in flight is a PIPELINE_BUSY error.
+ * @param {'collect'|'analyze'|'full-run'} type
+ * @param {Object} [params]
+ * @returns {Object} { job, joined }
+ */
+function startJob(type, params = {}) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+
+  const pending = [activeJob, ...queue].filter(Boolean);
+  const covering = pending.find(j => runCovers(JOB_PIPELINES[j.type], JOB_PIPELINES[type]));
+  if (covering) {
+    console.log(`[Jobs] ${type} request joined ${covering.id} (${covering.type})`);
+    return { job: covering, joined: true };
+  }
+
+  const run = getCurrentRun();
+  const stage = joinCurrentRun(JOB_PIPELINES[type]);
+  if (stage) {
+    // Take the run's promise now — the job may only start after the run ends
+    const job = createJobRecord(type, params);
+    joinedRuns.set(job.id, stage);
+    enqueue(job);
+    console.log(`[Jobs] ${job.id} (${type}) joins the in-flight ${run.pipeline} run ${run.id}`);
+    return { job, joined: true };
+  }
+
+  if (run || pending.length > 0) {
+    const busy = run || { id: null, pipeline: JOB_PIPELINES[pending[0].type], jobId: pending[0].id, startedAt: null };
+    const err = new Error(`A ${busy.pipeline} run is already in progress (${busy.id || busy.jobId})`);
+    err.code = 'PIPELINE_BUSY';
+    err.run = busy;
+    throw err;
+  }
+
+  return { job: enqueueJob(type, params), joined: false };
+}
+
+/**
+ * Get a job by id (live record for in-flight jobs, stored record otherwise)
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getJob(id) {
+  if (activeJob?.id === id) return activeJob;
+  return queue.find(j => j.id === id) || loadJob(id);
+}
+
+/**
+ * List recent jobs, newest first
+ * @param {number} [limit=20]
+ * @returns {Array}
+ */
+function listJobs(limit = 20) {
+  const live = new Map([activeJob, ...queue].filter(Boolean).map(j => [j.id, j]));
+  return loadJobs(limit).map(j => live.get(j.id) || j);
+}
+
+/**
+ * Mark jobs left queued/running by a previous process as failed.
+ * Call once at startup, before any new jobs are enqueued.
+ */
+function recoverInterruptedJobs() {
+  let recovered = 0;
+  for (const job of loadJobs(200)) {
+    if (job.state !== 'queued' && job.state !== 'running') continue;
+    finishJob(job, 'failed', { error: 'Interrupted by server restart' });
+    recovered++;
+  }
+  if (recovered > 0) {
+    console.log(`[Jobs] Marked ${recovered} interrupted job(s) as failed`);
+  }
+  return recovered;
+}
+
+module.exports = {
+  JOB_TYPES,
+  enqueueJob,
+  startJob,
+  getJob,
+  listJobs,
+  recoverInterruptedJobs,
+};
@@ -5,26 +5,174 @@
  * - Signal collection: daily at 06:00 UTC
  * - Narrative analysis: every 14 days (or on-demand)
  * - Full run: collect + analyze in one go
+ *
+ * Only one run is in flight at a time, whoever triggered it (cron, startup,
+ * API job): a run that is already covered by the one in flight joins it
+ * (a full run covers collection and analysis), anything else is rejected
+ * with a PIPELINE_BUSY error carrying the in-flight run. A joining caller
+ * gets the result of its own pipeline — a collection joining a full run
+ * resolves with the full run's collection stage.
  */
+const crypto = require('crypto');
 const cron = require('node-cron');
 
+// Record / replay all outbound HTTP when HTTP_MODE is set (before any collector runs)
+require('../services/http-recorder').installHttpRecorder();
+
 // Sources
-const { collectSocialSignals } = require('../sources/social');
-const { collectOnChainSignals } = require('../sources/onchain');
-const { collectGithubSignals } = require('../sources/github');
-const { collectResearchSignals } = require('../sources/research');
+const { getCollectorStatus, getCollectors, runCollector } = require('../sources/registry');
+const { getProviderName } = require('../services/llm');
+const { takeValidationFailures } = require('../services/grok');
 
 // Analysis
-const { normalizeAll, getSignalStats } = require('../analysis/signals');
+const { normalizeAll, mergeSignalWindow, getSignalStats } = require('../analysis/signals');
+const { detectBreakouts, BREAKOUT_LOOKBACK } = require('../analysis/breakouts');
 const { clusterNarratives } = require('../analysis/clustering');
+const { deriveMomentum } = require('../analysis/momentum');
+const { measureNarrativeSentiment } = require('../analysis/sentiment');
 const { scoreNarratives } = require('../analysis/scoring');
+const { linkNarrativeLineage } = require('../analysis/lineage');
+const { trackLifecycle } = require('../analysis/lifecycle');
 const { generateBuildIdeas } = require('../analysis/build-ideas');
 
 // Storage
-const { saveSignals, saveNarratives, loadLatestSignals } = require('../storage/store');
+const {
+  saveSignals,
+  saveNarratives,
+  saveSignalWindow,
+  loadSignalWindow,
+  loadCurrentSignals,
+  loadNarrativeHistory,
+  loadSignalHistory,
+} = require('../storage/store');
+const { applyRetention } = require('../storage/retention');
+const { publishEvent } = require('./events');
+
+// How many past narrative snapshots to search for lineage predecessors and lifecycle state
+const LINEAGE_LOOKBACK = 10;
+
+// How many past narrative snapshots new build ideas are checked against
+const IDEA_LOOKBACK = 50;
+
+// How many signal snapshots to compare against when deriving velocity/stage
+const MOMENTUM_LOOKBACK = 8;
+
+// Days a signal stays in the rolling window after it was last seen
+function getWindowDays() {
+  return parseInt(process.env.SIGNAL_WINDOW_DAYS) || 14;
+}
+
+// Named pipeline steps reported through the onProgress callback
+const COLLECTION_STEPS = ['collect', 'normalize', 'window', 'save'];
+const ANALYSIS_STEPS = ['breakouts', 'cluster', 'momentum', 'sentiment', 'score', 'lineage', 'lifecycle', 'build_ideas', 'save'];
+
+// Runs a trigger can join: a full run also collects and analyzes
+const RUN_COVERS = {
+  collect: ['collect'],
+  analyze: ['analyze'],
+  full: ['full', 'collect', 'analyze'],
+};
 
 let collectionCron = null;
 let analysisCron = null;
+let currentRun = null;
+
+// ==========================================
+// Pipeline Lock
+// ==========================================
+
+function describeRun(run) {
+  return run && { id: run.id, pipeline: run.pipeline, jobId: run.jobId, startedAt: run.startedAt };
+}
+
+/**
+ * The run in flight, or null
+ * @returns {Object|null} { id, pipeline, jobId, startedAt }
+ */
+function getCurrentRun() {
+  return describeRun(currentRun);
+}
+
+/**
+ * Whether a trigger for `pipeline` can join an in-flight `runPipeline` run
+ */
+function runCovers(runPipeline, pipeline) {
+  return (RUN_COVERS[runPipeline] || []).includes(pipeline);
+}
+
+/**
+ * Result promise of `pipeline` inside the in-flight run, or null when no run
+ * is in flight or it does not cover the pipeline
+ */
+function joinCurrentRun(pipeline) {
+  if (!currentRun || !runCovers(currentRun.pipeline, pipeline)) return null;
+  return currentRun.stages[pipeline];
+}
+
+function pipelineBusyError(run) {
+  const err = new Error(`A ${run.pipeline} run is already in progress (${run.id})`);
+  err.code = 'PIPELINE_BUSY';
+  err.run = describeRun(run);
+  return err;
+}
+
+/**
+ * Start a run unless one is in flight — join it if it covers this pipeline,
+ * reject with PIPELINE_BUSY otherwise
+ *
+ * `start` receives the run's `stages` map and registers the promise of each
+ * pipeline it runs inside (a full run: collect and analyze), so joiners get
+ * their own pipeline's result.
+ */
+function singleFlight(pipeline, jobId, start) {
+  if (currentRun) {
+    if (!runCovers(currentRun.pipeline, pipeline)) return Promise.reject(pipelineBusyError(currentRun));
+    console.log(`[Scheduler] ${pipeline} request joined the in-flight ${currentRun.pipeline} run ${currentRun.id}`);
+    return currentRun.stages[pipeline];
+  }
+
+  const run = {
+    id: `run_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+    pipeline,
+    jobId: jobId || null,
+    startedAt: new Date().toISOString(),
+    stages: {},
+  };
+  currentRun = run;
+  run.promise = start(run.stages).finally(() => { currentRun = null; });
+  run.stages[pipeline] = run.promise;
+  return run.promise;
+}
+
+// ==========================================
+// Live Events
+// ==========================================
+
+/**
+ * Publish a `step` event alongside every onProgress call
+ */
+function withStepEvents(pipeline, steps, onProgress, onEvent) {
+  return (step, detail = {}) => {
+    onProgress(step, detail);
+    onEvent('step', { pipeline, step, index: steps.indexOf(step) + 1, total: steps.length, ...detail });
+  };
+}
+
+/**
+ * Run a pipeline between pipeline:start and pipeline:done / pipeline:failed events
+ */
+async function trackPipeline(pipeline, onEvent, run, summarize) {
+  const started = Date.now();
+  onEvent('pipeline:start', { pipeline });
+  try {
+    const result = await run();
+    onEvent('pipeline:done', { pipeline, durationMs: Date.now() - started, ...summarize(result) });
+    return result;
+  } catch (err) {
+    onEvent('pipeline:failed', { pipeline, error: err.message, durationMs: Date.now() - started });
+    throw err;
+  }
+}
 
 // ==========================================
 // Pipeline Steps
@@ -33,9 +181,25 @@ let analysisCron = null;
 /**
  * Step 1: Collect signals from all sources
  * @param {number} [dayRange=14]
- * @returns {Promise<Object>} { signals, stats }
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (step, detail) as each step starts
+ * @param {Function} [options.onEvent] - Called with (type, detail) for live events (defaults to the event bus)
+ * @param {string} [options.jobId] - Job the run belongs to (shown with the pipeline lock)
+ * @returns {Promise<Object>} { signals, stats, collected } — `signals`/`stats` cover the
+ *   rolling window, `collected` summarizes this run's pull
  */
-async function runCollection(dayRange = 14) {
+async function runCollection(dayRange = 14, { onProgress = () => {}, onEvent = publishEvent, jobId } = {}) {
+  return singleFlight('collect', jobId, () => trackCollection(dayRange, { onProgress, onEvent }));
+}
+
+function trackCollection(dayRange, { onProgress, onEvent }) {
+  return trackPipeline('collect', onEvent, () => collectSignals(dayRange, {
+    onProgress: withStepEvents('collect', COLLECTION_STEPS, onProgress, onEvent),
+    onEvent,
+  }), result => ({ signalCount: result.signals.length, collectedCount: result.collected.signalCount }));
+}
+
+async function collectSignals(dayRange, { onProgress, onEvent }) {
   console.log('');
   console.log('📡 ═══════════════════════════════════════════');
   console.log('   Signal Collection Pipeline');
@@ -45,50 +209,124 @@ async function runCollection(dayRange = 14) {
   console.log('');
 
   const allRawSignals = [];
+  const collectorResults = {};
+
+  // Start this run's LLM validation log from a clean slate
+  takeValidationFailures();
+
+  // Skip collectors that are disabled, missing required env vars or need
+  // an LLM capability (x_search) the active provider does not have
+  const status = new Map(getCollectorStatus().map(s => [s.name, s]));
+  const collectors = getCollectors().filter(c => {
+    const s = status.get(c.name);
+    if (!s.enabled) {
+      collectorResults[c.name] = { status: 'disabled', signalCount: 0 };
+      return false;
+    }
+    if (s.missingCapabilities.length > 0) {
+      const reason = `LLM provider "${getProviderName()}" lacks ${s.missingCapabilities.join(', ')}`;
+      console.warn(`[Scheduler] Skipping ${c.name} collector — ${reason}`);
+      collectorResults[c.name] = { status: 'skipped', signalCount: 0, reason };
+      return false;
+    }
+    if (s.missingEnv.length > 0) {
+      console.warn(`[Scheduler] Skipping ${c.name} collector — missing ${s.missingEnv.join(', ')}`);
+      collectorResults[c.name] = { status: 'skipped', signalCount: 0, reason: `missing ${s.missingEnv.join(', ')}` };
+      return false;
+    }
+    return true;
+  });
 
-  // Collect from all 4 sources (parallel where possible)
-  const [socialResult, onchainResult, githubResult, researchResult] = await Promise.allSettled([
-    collectSocialSignals(dayRange),
-    collectOnChainSignals(),
-    collectGithubSignals(dayRange),
-    collectResearchSignals(dayRange),
-  ]);
-
-  if (socialResult.status === 'fulfilled') allRawSignals.push(...socialResult.value);
-  else console.error('[Scheduler] Social collection failed:', socialResult.reason?.message);
-
-  if (onchainResult.status === 'fulfilled') allRawSignals.push(...onchainResult.value);
-  else console.error('[Scheduler] OnChain collection failed:', onchainResult.reason?.message);
-
-  if (githubResult.status === 'fulfilled') allRawSignals.push(...githubResult.value);
-  else console.error('[Scheduler] GitHub collection failed:', githubResult.reason?.message);
+  onProgress('collect', { dayRange, collectors: collectors.map(c => c.name) });
 
-  if (researchResult.status === 'fulfilled') allRawSignals.push(...researchResult.value);
-  else console.error('[Scheduler] Research collection failed:', researchResult.reason?.message);
+  // Run all enabled collectors in parallel
+  const results = await Promise.allSettled(collectors.map(async c => {
+    const started = Date.now();
+    onEvent('collector:start', { collector: c.name, label: c.label });
+    try {
+      const signals = await runCollector(c, { dayRange });
+      onEvent('collector:done', { collector: c.name, label: c.label, signalCount: signals?.length || 0, durationMs: Date.now() - started });
+      return signals;
+    } catch (err) {
+      onEvent('collector:failed', { collector: c.name, label: c.label, error: err.message, durationMs: Date.now() - started });
+      throw err;
+    }
+  }));
+
+  results.forEach((result, i) => {
+    const { name, label } = collectors[i];
+    if (result.status === 'fulfilled' && Array.isArray(result.value)) {
+      allRawSignals.push(...result.value);
+      collectorResults[name] = { status: 'ok', signalCount: result.value.length };
+    } else {
+      const message = result.reason?.message || 'collector returned no signal array';
+      console.error(`[Scheduler] ${label} collection failed:`, message);
+      collectorResults[name] = { status: 'failed', signalCount: 0, reason: message };
+    }
+  });
 
   // Normalize & de-duplicate
+  onProgress('normalize', { rawCount: allRawSignals.length });
   const signals = normalizeAll(allRawSignals);
   const stats = getSignalStats(signals);
+  onEvent('normalize:done', { rawCount: allRawSignals.length, signalCount: signals.length, bySource: stats.bySource });
 
-  // Save
-  saveSignals(signals, { stats, dayRange });
+  // Merge into the rolling window
+  const windowDays = getWindowDays();
+  onProgress('window', { windowDays });
+  const window = mergeSignalWindow(loadSignalWindow()?.signals || [], signals, { windowDays });
+  const windowStats = getSignalStats(window.signals);
+
+  // Save (run snapshot + accumulated window)
+  onProgress('save', { signalCount: signals.length, windowCount: window.signals.length });
+  const validationFailures = takeValidationFailures();
+  const duplicatesMerged = allRawSignals.length - signals.length;
+  saveSignals(signals, { stats, dayRange, collectors: collectorResults, duplicatesMerged, validationFailures });
+  saveSignalWindow(window.signals, { windowDays, stats: windowStats });
 
   console.log('');
   console.log('📊 Collection Results:');
-  console.log(`   Total signals: ${signals.length}`);
+  console.log(`   Collected this run: ${signals.length} (${duplicatesMerged} duplicates merged)`);
   console.log(`   By source: ${JSON.stringify(stats.bySource)}`);
-  console.log(`   Top topics: ${stats.topTopics.slice(0, 5).map(t => t.topic).join(', ')}`);
+  console.log(`   Window (${windowDays}d): ${window.signals.length} signals (+${window.added} new, ${window.updated} re-seen, -${window.expired} expired)`);
+  console.log(`   Top topics: ${windowStats.topTopics.slice(0, 5).map(t => t.topic).join(', ')}`);
   console.log('');
 
-  return { signals, stats };
+  return {
+    signals: window.signals,
+    stats: windowStats,
+    collected: {
+      signalCount: signals.length,
+      duplicatesMerged,
+      stats,
+      validationFailures: validationFailures.length,
+    },
+  };
 }
 
 /**
  * Step 2: Analyze collected signals → narratives + build ideas
- * @param {Array} [signals] - Pre-collected signals (or loads latest from storage)
+ * @param {Array} [signals] - Pre-collected signals (or loads the rolling window from storage)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (step, detail) as each step starts
+ * @param {Function} [options.onEvent] - Called with (type, detail) for live events (defaults to the event bus)
+ * @param {'llm'|'algorithmic'} [options.clustering] - Clustering mode (defaults to CLUSTERING_MODE)
+ * @param {string} [options.jobId] - Job the run belongs to (shown with the pipeline lock)
  * @returns {Promise<Object>} { narratives, stats }
  */
-async function runAnalysis(signals = null) {
+async function runAnalysis(signals = null, { onProgress = () => {}, onEvent = publishEvent, clustering, jobId } = {}) {
+  return singleFlight('analyze', jobId, () => trackAnalysis(signals, { onProgress, onEvent, clustering }));
+}
+
+function trackAnalysis(signals, { onProgress, onEvent, clustering }) {
+  return trackPipeline('analyze', onEvent, () => analyzeSignals(signals, {
+    onProgress: withStepEvents('analyze', ANALYSIS_STEPS, onProgress, onEvent),
+    onEvent,
+    clustering,
+  }), result => ({ narrativeCount: result.narratives.length }));
+}
+
+async function analyzeSignals(signals, { onProgress, onEvent, clustering }) {
   console.log('');
   console.log('🧠 ═══════════════════════════════════════════');
   console.log('   Narrative Analysis Pipeline');
@@ -98,62 +336,145 @@ async function runAnalysis(signals = null) {
 
   // Load signals if not provided
   if (!signals) {
-    const latest = loadLatestSignals();
-    if (!latest?.signals) {
+    const current = loadCurrentSignals();
+    if (!current?.signals) {
       console.error('[Scheduler] No signals found. Run collection first: npm run collect');
       return { narratives: [], stats: {} };
     }
-    signals = latest.signals;
-    console.log(`[Scheduler] Loaded ${signals.length} signals from latest snapshot`);
+    signals = current.signals;
+    console.log(`[Scheduler] Loaded ${signals.length} signals from ${current.windowDays ? `${current.windowDays}-day window` : 'latest snapshot'}`);
   }
 
   const stats = getSignalStats(signals);
-
-  // Step 2a: Cluster into narratives
-  console.log('[Scheduler] Step 1/3: Clustering signals into narratives...');
-  const rawNarratives = await clusterNarratives(signals);
-
-  // Step 2b: Score & rank
-  console.log('[Scheduler] Step 2/3: Scoring and ranking narratives...');
-  const scored = scoreNarratives(rawNarratives, signals);
-
-  // Step 2c: Generate build ideas
-  console.log('[Scheduler] Step 3/3: Generating build ideas...');
-  const narratives = await generateBuildIdeas(scored);
+  takeValidationFailures();
+
+  const history = loadSignalHistory(Math.max(MOMENTUM_LOOKBACK, BREAKOUT_LOOKBACK));
+
+  // Step 2a: Topic breakouts against each topic's own history
+  console.log('[Scheduler] Step 1/8: Detecting topic breakouts...');
+  onProgress('breakouts', { snapshots: history.length });
+  const breakoutScan = detectBreakouts(history.slice(0, BREAKOUT_LOOKBACK));
+  const breakouts = breakoutScan.topics.filter(t => t.breakout);
+
+  // Step 2b: Cluster into narratives
+  console.log('[Scheduler] Step 2/8: Clustering signals into narratives...');
+  onProgress('cluster', { signalCount: signals.length, mode: clustering || 'default', breakouts: breakouts.length });
+  const rawNarratives = await clusterNarratives(signals, { ...(clustering ? { mode: clustering } : {}), breakouts });
+  const clusteringMethod = rawNarratives[0]?.clusteringMethod || null;
+  onEvent('cluster:done', { narrativeCount: rawNarratives.length, method: clusteringMethod });
+
+  // Step 2c: Replace reported velocity/stage with values measured from the data
+  console.log('[Scheduler] Step 3/8: Deriving velocity and stage from signal history...');
+  onProgress('momentum', { narrativeCount: rawNarratives.length });
+  const measured = deriveMomentum(rawNarratives, signals, history.slice(0, MOMENTUM_LOOKBACK));
+
+  // Step 2d: Sentiment per narrative and its shift against history
+  console.log('[Scheduler] Step 4/8: Measuring narrative sentiment...');
+  onProgress('sentiment', { narrativeCount: measured.length });
+  const withSentiment = measureNarrativeSentiment(measured, signals, history.slice(0, MOMENTUM_LOOKBACK));
+
+  // Step 2e: Score & rank
+  console.log('[Scheduler] Step 5/8: Scoring and ranking narratives...');
+  onProgress('score', { narrativeCount: withSentiment.length });
+  const scored = scoreNarratives(withSentiment, signals);
+  onEvent('score:done', {
+    narratives: scored.slice(0, 10).map(n => ({ rank: n.rank, name: n.name, totalScore: n.totalScore })),
+  });
+
+  // Step 2f: Link to predecessors in earlier snapshots
+  console.log('[Scheduler] Step 6/8: Linking narrative lineage...');
+  onProgress('lineage');
+  const runTimestamp = new Date().toISOString();
+  const narrativeHistory = loadNarrativeHistory(Math.max(LINEAGE_LOOKBACK, IDEA_LOOKBACK));
+  const recentHistory = narrativeHistory.slice(0, LINEAGE_LOOKBACK);
+  const linked = linkNarrativeLineage(scored, recentHistory, runTimestamp);
+
+  // Step 2g: Advance lifecycle states (including lineages missing from this run)
+  console.log('[Scheduler] Step 7/8: Tracking narrative lifecycle...');
+  onProgress('lifecycle', { narrativeCount: linked.length });
+  const { narratives: tracked, inactive, transitions } = trackLifecycle(linked, recentHistory, runTimestamp);
+
+  // Step 2h: Generate build ideas, checked against earlier ideas and collected repos
+  console.log('[Scheduler] Step 8/8: Generating build ideas...');
+  onProgress('build_ideas', { narrativeCount: tracked.length });
+  const narratives = await generateBuildIdeas(tracked, {
+    history: narrativeHistory,
+    signals,
+    onNarrative: detail => onEvent('ideas:narrative', detail),
+  });
 
   // Save
-  saveNarratives(narratives, stats);
+  onProgress('save', { narrativeCount: narratives.length });
+  const validationFailures = takeValidationFailures();
+  saveNarratives(narratives, stats, {
+    clusteringMethod,
+    breakouts: breakouts.map(({ series, ...t }) => t),
+    transitions,
+    inactive,
+    validationFailures,
+  });
 
   console.log('');
   console.log('🎯 Analysis Results:');
-  console.log(`   Narratives detected: ${narratives.length}`);
+  console.log(`   Narratives detected: ${narratives.length}${clusteringMethod ? ` (${clusteringMethod} clustering)` : ''}`);
+  if (breakouts.length > 0) {
+    console.log(`   Breakout topics: ${breakouts.slice(0, 5).map(t => t.topic).join(', ')}`);
+  }
+  const died = transitions.filter(t => t.to === 'dormant');
+  if (died.length > 0) {
+    console.log(`   Gone dormant: ${died.map(t => t.name).join(', ')}`);
+  }
+  if (validationFailures.length > 0) {
+    console.log(`   LLM outputs re-prompted: ${validationFailures.length}`);
+  }
   for (const n of narratives.slice(0, 5)) {
     console.log(`   ${n.rank}. ${n.name} (score: ${n.totalScore}, ideas: ${n.buildIdeas?.length || 0})`);
   }
   console.log('');
 
-  return { narratives, stats };
+  return { narratives, stats, breakouts, transitions, inactive, validationFailures };
 }
 
 /**
  * Full pipeline: collect + analyze
+ * @param {number} [dayRange=14]
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (step, detail); steps are prefixed collect:/analyze:
+ * @param {Function} [options.onEvent] - Called with (type, detail) for live events (defaults to the event bus)
+ * @param {'llm'|'algorithmic'} [options.clustering] - Clustering mode (defaults to CLUSTERING_MODE)
+ * @param {string} [options.jobId] - Job the run belongs to (shown with the pipeline lock)
  */
-async function runFull(dayRange = 14) {
+async function runFull(dayRange = 14, { onProgress = () => {}, onEvent = publishEvent, clustering, jobId } = {}) {
+  return singleFlight('full', jobId, stages => trackPipeline('full', onEvent,
+    () => runFullPipeline(dayRange, { onProgress, onEvent, clustering, stages }),
+    result => ({ signalCount: result.signals.length, narrativeCount: result.narratives.length })));
+}
+
+async function runFullPipeline(dayRange, { onProgress, onEvent, clustering, stages = {} }) {
   console.log('');
   console.log('🚀 ═══════════════════════════════════════════');
   console.log('   FULL PIPELINE: Collect → Analyze');
   console.log('═══════════════════════════════════════════════');
   console.log('');
 
-  const { signals, stats } = await runCollection(dayRange);
-  const result = await runAnalysis(signals);
+  // Both stages are registered up front so collect / analyze triggers can join them
+  stages.collect = trackCollection(dayRange, {
+    onProgress: (step, detail) => onProgress(`collect:${step}`, detail),
+    onEvent,
+  });
+  stages.analyze = stages.collect.then(({ signals }) => trackAnalysis(signals, {
+    onProgress: (step, detail) => onProgress(`analyze:${step}`, detail),
+    onEvent,
+    clustering,
+  }));
+  const [{ signals, collected }, result] = await Promise.all([stages.collect, stages.analyze]);
 
   console.log('');
   console.log('✅ Full pipeline complete!');
-  console.log(`   ${signals.length} signals → ${result.narratives.length} narratives`);
+  console.log(`   ${signals.length} signals (window) → ${result.narratives.length} narratives`);
   console.log('');
 
-  return { signals, ...result };
+  return { signals, collected, ...result };
 }
 
 // ==========================================
@@ -172,7 +493,16 @@ function startCron() {
     try {
       await runCollection(14);
     } catch (err) {
-      console.error('[Cron] Collection error:', err.message);
+      if (err.code === 'PIPELINE_BUSY') console.log(`[Cron] Collection skipped — ${err.message}`);
+      else console.error('[Cron] Collection error:', err.message);
+    }
+
+    if (process.env.RETENTION_ENABLED !== 'false') {
+      try {
+        applyRetention();
+      } catch (err) {
+        console.error('[Cron] Retention error:', err.message);
+      }
     }
   }, { scheduled: true, timezone: 'UTC' });
 
@@ -182,12 +512,13 @@ function startCron() {
     try {
       await runFull(14);
     } catch (err) {
-      console.error('[Cron] Analysis error:', err.message);
+      if (err.code === 'PIPELINE_BUSY') console.log(`[Cron] Analysis skipped — ${err.message}`);
+      else console.error('[Cron] Analysis error:', err.message);
     }
   }, { scheduled: true, timezone: 'UTC' });
 
   console.log('[Cron] Scheduled jobs:');
-  console.log('  📡 Signal collection: daily at 06:00 UTC');
+  console.log('  📡 Signal collection: daily at 06:00 UTC (followed by retention)');
   console.log('  🧠 Full analysis: 1st & 15th of month at 08:00 UTC');
 }
 
@@ -200,9 +531,14 @@ function stopCron() {
 }
 
 module.exports = {
+  COLLECTION_STEPS,
+  ANALYSIS_STEPS,
   runCollection,
   runAnalysis,
   runFull,
+  getCurrentRun,
+  runCovers,
+  joinCurrentRun,
   startCron,
   stopCron,
 };
@@ -6,7 +6,7 @@
  * and research reports.
  * 
  * What it does:
- * 1. Collects signals from 4 sources (X/social, on-chain, GitHub, research)
+ * 1. Collects signals from registered sources (X/social, on-chain, GitHub, research)
  * 2. Normalizes & deduplicates signals into a unified format
  * 3. Uses AI (Grok) to cluster signals into coherent narratives
  * 4. Scores & ranks narratives by novelty, velocity, and cross-source strength
@@ -18,6 +18,8 @@ require('dotenv').config();
 
 const { createServer } = require('./server');
 const { startCron, runFull } = require('./cron/scheduler');
+const { getCollectorStatus } = require('./sources/registry');
+const { getProviderStatus } = require('./services/llm');
 
 const PORT = process.env.PORT || 3010;
 
@@ -31,21 +33,30 @@ async function main() {
   // ==========================================
   // 1. Pre-flight checks
   // ==========================================
-  const checks = {
-    XAI_API_KEY: !!process.env.XAI_API_KEY,
-    SOLANA_RPC_URL: !!process.env.SOLANA_RPC_URL,
-    GITHUB_TOKEN: !!process.env.GITHUB_TOKEN,
-  };
+  // Analysis runs on the active LLM provider (LLM_PROVIDER)
+  const llm = getProviderStatus();
+
+  // Collector checks are generated from the env vars each collector declares
+  const collectors = getCollectorStatus();
+  const labelWidth = Math.max(...collectors.map(c => c.label.length)) + 1;
 
   console.log('   Config:');
-  console.log(`   ├── Grok AI (x_search):   ${checks.XAI_API_KEY ? '✅ ready' : '❌ XAI_API_KEY not set'}`);
-  console.log(`   ├── Solana RPC (on-chain): ${checks.SOLANA_RPC_URL ? '✅ ready' : '⚠️  optional (SOLANA_RPC_URL)'}`);
-  console.log(`   └── GitHub (dev activity): ${checks.GITHUB_TOKEN ? '✅ ready' : '⚠️  optional (GITHUB_TOKEN)'}`);
+  console.log(`   ├── ${'AI analysis:'.padEnd(labelWidth + 1)} ${llm.ready ? `✅ ${llm.label} (${llm.model})` : `❌ ${llm.missingEnv.join(', ')} not set`}`);
+  collectors.forEach((c, i) => {
+    const branch = i === collectors.length - 1 ? '└──' : '├──';
+    let state;
+    if (!c.enabled) state = '⏸️  disabled';
+    else if (c.missingCapabilities.length > 0) state = `⏸️  ${llm.name} provider lacks ${c.missingCapabilities.join(', ')} — will be skipped`;
+    else if (c.missingEnv.length > 0) state = `❌ ${c.missingEnv.join(', ')} not set — will be skipped`;
+    else if (c.missingOptionalEnv.length > 0) state = `✅ ready (⚠️  optional ${c.missingOptionalEnv.join(', ')} not set)`;
+    else state = '✅ ready';
+    console.log(`   ${branch} ${`${c.label}:`.padEnd(labelWidth + 1)} ${state}`);
+  });
   console.log('');
 
-  if (!checks.XAI_API_KEY) {
-    console.error('❌ XAI_API_KEY is required. Set it in .env and restart.');
-    console.error('   Get a key at: https://console.x.ai/');
+  if (!llm.ready) {
+    console.error(`❌ ${llm.missingEnv.join(', ')} is required for LLM_PROVIDER=${llm.name}. Set it in .env and restart.`);
+    if (llm.name === 'grok') console.error('   Get a key at: https://console.x.ai/');
     process.exit(1);
   }
 
@@ -68,6 +79,7 @@ async function main() {
     console.log(`   ├── POST http://localhost:${PORT}/api/collect`);
     console.log(`   ├── POST http://localhost:${PORT}/api/analyze`);
     console.log(`   ├── POST http://localhost:${PORT}/api/full-run`);
+    console.log(`   ├── GET  http://localhost:${PORT}/api/jobs`);
     console.log(`   └── GET  http://localhost:${PORT}/health`);
     console.log('');
   });
@@ -85,7 +97,7 @@ async function main() {
 
   if (!stats.hasLatestNarratives) {
     console.log('📡 No existing data — triggering initial full run...');
-    console.log('   This will take a few minutes (collecting from 4 sources + AI analysis)');
+    console.log(`   This will take a few minutes (collecting from ${collectors.filter(c => c.ready).length} sources + AI analysis)`);
     console.log('');
 
     // Run asynchronously so the server is available immediately
@@ -3,14 +3,33 @@
  * 
  * Endpoints:
  * - GET /                    — Dashboard UI
- * - GET /api/narratives      — Latest detected narratives with build ideas
- * - GET /api/signals         — Latest collected signals
- * - GET /api/stats           — Signal and narrative statistics
- * - GET /api/history         — Historical narrative snapshots
- * - POST /api/collect        — Trigger signal collection
- * - POST /api/analyze        — Trigger narrative analysis
- * - POST /api/full-run       — Trigger full pipeline (collect + analyze)
+ * - GET /api/narratives      — Latest detected narratives with build ideas (?profile= to re-rank)
+ * - GET /api/narratives/:id/signals — Signals supporting a narrative, grouped by source
+ * - GET /api/scoring/profiles — Available scoring profiles
+ * - GET /api/signals         — Signals in the rolling window (filters, search, sorting, cursor pages, facets)
+ * - GET /api/stats           — Signal and narrative statistics, pipeline lock, LLM and storage status
+ * - GET /api/topics/unmapped — Raw topic tags the taxonomy does not cover yet
+ * - GET /api/breakouts       — Topics spiking against their own history
+ * - GET /api/ideas          — Build ideas across snapshots with novelty and similar projects
+ * - GET /api/lifecycle       — Lifecycle states, incl. what faded / went dormant recently
+ * - GET /api/history         — Historical narrative snapshots with lifecycle transitions
+ * - GET /api/diff            — Narrative and signal changes between two snapshots (JSON or Markdown)
+ * - GET /api/storage/retention — Dry-run report of the retention policy
+ * - POST /api/collect        — Enqueue signal collection job
+ * - POST /api/analyze        — Enqueue narrative analysis job
+ * - POST /api/full-run       — Enqueue full pipeline job (collect + analyze)
+ * - GET /api/jobs            — Recent pipeline jobs
+ * - GET /api/jobs/:id        — Job state, per-step progress and result
+ * - GET /api/events          — Live pipeline events (Server-Sent Events)
+ * - POST /api/events/token   — Short-lived token for opening the event stream with a key
+ * - GET /api/auth            — Role of the presented API key
+ * - GET /api/keys            — API keys (operator)
+ * - POST /api/keys           — Create an API key (operator)
+ * - DELETE /api/keys/:id     — Revoke an API key (operator)
  * - GET /health              — Health check
+ *
+ * /api routes need a viewer key unless API_PUBLIC_READ is on; triggers and
+ * key management need an operator key (see services/auth.js).
  */
 const express = require('express');
 const cors = require('cors');
@@ -18,20 +37,100 @@ const path = require('path');
 
 const {
   loadLatestNarratives,
-  loadLatestSignals,
+  loadCurrentSignals,
   loadNarrativeHistory,
+  loadSignalHistory,
+  listSnapshots,
+  loadSnapshot,
   getStorageStats,
 } = require('./storage/store');
 
-const { runCollection, runAnalysis, runFull } = require('./cron/scheduler');
+const { startJob, getJob, listJobs, recoverInterruptedJobs } = require('./cron/jobs');
+const { getCurrentRun } = require('./cron/scheduler');
+const { subscribeEvents, getEventsSince } = require('./cron/events');
 const { getSignalStats } = require('./analysis/signals');
-const { explainScore } = require('./analysis/scoring');
+const {
+  explainScore,
+  rescoreNarratives,
+  getScoreBreakdown,
+  listScoringProfiles,
+  loadScoringProfiles,
+  getScoringProfile,
+  getStoredProfile,
+} = require('./analysis/scoring');
+const { findLineage } = require('./analysis/lineage');
+const { LIFECYCLE_STATES, summarizeLifecycle } = require('./analysis/lifecycle');
+const { catalogIdeas } = require('./analysis/idea-novelty');
+const { diffNarratives, diffSignals, formatDiffMarkdown } = require('./analysis/diff');
+const { findUnmappedTopics, loadTaxonomy } = require('./analysis/taxonomy');
+const { detectBreakouts, BREAKOUT_LOOKBACK } = require('./analysis/breakouts');
+const { getSentimentStats } = require('./analysis/sentiment');
+const { credibilityWeight } = require('./analysis/credibility');
+const { parseSignalQuery, querySignals } = require('./analysis/signal-query');
+const { applyRetention } = require('./storage/retention');
+const { CLUSTERING_MODES } = require('./analysis/clustering');
+const { getProviderStatus } = require('./services/llm');
+const {
+  ROLES,
+  authEnabled,
+  publicRead,
+  authenticate,
+  acceptStreamToken,
+  requireRole,
+  createStreamToken,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  checkAuthSetup,
+} = require('./services/auth');
+const { rateLimit } = require('./services/rate-limit');
+
+const EVENTS_HEARTBEAT_MS = 25000; // keeps idle SSE connections open through proxies
+
+/**
+ * CORS origins from CORS_ORIGINS: comma-separated list, `*` for any origin,
+ * unset for same-origin only (the dashboard is served by this server)
+ */
+function corsOrigin() {
+  const origins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  if (origins.includes('*')) return true;
+  return origins.length > 0 ? origins : false;
+}
+
+/**
+ * Per-client budget for pipeline triggers (TRIGGER_RATE_LIMIT per
+ * TRIGGER_RATE_WINDOW_MINUTES; a limit of 0 turns it off)
+ */
+function triggerRateLimit() {
+  const limit = parseInt(process.env.TRIGGER_RATE_LIMIT);
+  const minutes = parseInt(process.env.TRIGGER_RATE_WINDOW_MINUTES) || 15;
+  return rateLimit({
+    name: 'pipeline trigger',
+    limit: Number.isNaN(limit) ? 5 : limit,
+    windowMs: minutes * 60 * 1000,
+  });
+}
+
+/**
+ * Express `trust proxy` from TRUST_PROXY (true, a hop count, or addresses)
+ */
+function trustProxy() {
+  const value = process.env.TRUST_PROXY;
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
 
 function createServer() {
   const app = express();
 
-  app.use(cors());
+  recoverInterruptedJobs();
+  checkAuthSetup();
+
+  app.set('trust proxy', trustProxy());
+  app.use(cors({ origin: corsOrigin() }));
   app.use(express.json());
+  app.use(authenticate);
 
   // ==========================================
   // Dashboard (static HTML)
@@ -41,14 +140,92 @@ function createServer() {
     res.sendFile(path.join(__dirname, 'dashboard', 'index.html'));
   });
 
+  // ==========================================
+  // API: Auth
+  // ==========================================
+
+  /**
+   * GET /api/auth — What the presented API key (or no key) may do
+   */
+  app.get('/api/auth', (req, res) => {
+    return res.json({
+      success: true,
+      authEnabled: authEnabled(),
+      publicRead: publicRead(),
+      role: req.auth.role,
+      key: req.auth.key ? { id: req.auth.key.id, name: req.auth.key.name } : null,
+    });
+  });
+
+  // EventSource cannot send the key header — the event stream also takes ?token=
+  app.get('/api/events', acceptStreamToken);
+
+  // Everything below needs at least read access
+  app.use('/api', requireRole('viewer'));
+
   // ==========================================
   // API: Narratives
   // ==========================================
 
+  /**
+   * Validate an optional ?profile= query parameter
+   * @returns {string|undefined|null} Profile name, undefined when absent, null after sending a 400
+   */
+  function profileParam(req, res) {
+    const profile = req.query.profile;
+    if (!profile) return undefined;
+    if (!loadScoringProfiles()[profile]) {
+      res.status(400).json({
+        success: false,
+        message: `Unknown scoring profile "${profile}"`,
+        profiles: Object.keys(loadScoringProfiles()),
+      });
+      return null;
+    }
+    return profile;
+  }
+
+  /**
+   * Find a narrative by run-specific id or lineage id. Lineages no longer
+   * present in the latest snapshot are looked up in history.
+   * @returns {Object} { data, narrative, active } — narrative is undefined when not found
+   */
+  function findNarrative(id) {
+    const data = loadLatestNarratives();
+
+    let narrative = data?.narratives.find(n => n.id === id || n.lineage?.id === id);
+    let active = !!narrative;
+
+    // Fading / dormant lineages kept with the latest snapshot
+    if (!narrative) {
+      narrative = (data?.inactive || []).find(n => n.id === id || n.lineage?.id === id);
+    }
+
+    // Older snapshots — including narratives stored before lineage tracking
+    if (!narrative) {
+      narrative = findLineage(id, loadNarrativeHistory(50))?.narrative;
+      active = false;
+    }
+
+    return { data, narrative, active };
+  }
+
+  function lifecycleSummary(n) {
+    return n.lifecycle ? {
+      state: n.lifecycle.state,
+      since: n.lifecycle.since,
+      previousState: n.lifecycle.previousState,
+    } : null;
+  }
+
   /**
    * GET /api/narratives — Latest detected narratives with build ideas
+   * Query: ?profile=<name> re-ranks the stored narratives under another scoring profile
    */
   app.get('/api/narratives', (req, res) => {
+    const profile = profileParam(req, res);
+    if (profile === null) return;
+
     const data = loadLatestNarratives();
     if (!data) {
       return res.json({
@@ -58,86 +235,195 @@ function createServer() {
       });
     }
 
+    const narratives = profile ? rescoreNarratives(data.narratives, profile) : data.narratives;
+    const scoringProfile = profile ? getScoringProfile(profile) : getStoredProfile(narratives[0]?.scoringProfile);
+
     return res.json({
       success: true,
       timestamp: data.timestamp,
       narrativeCount: data.narrativeCount,
-      narratives: data.narratives.map(n => ({
+      profile: scoringProfile.name,
+      maxScore: scoringProfile.maxScore,
+      narratives: narratives.map(n => ({
         rank: n.rank,
         name: n.name,
         id: n.id,
         description: n.description,
         stage: n.stage,
         velocity: n.velocity,
+        clusterLabels: n.clusterLabels || null,
+        momentum: n.momentum ? {
+          ratio: n.momentum.ratio,
+          currentShare: n.momentum.currentShare,
+          baselineShare: n.momentum.baselineShare,
+          ageDays: n.momentum.ageDays,
+          basis: n.momentum.basis,
+        } : null,
+        sentiment: n.sentiment ? {
+          current: n.sentiment.current,
+          shift: n.sentiment.shift,
+          kolShift: n.sentiment.kol?.shift ?? null,
+        } : null,
         confidence: n.confidence,
         totalScore: n.totalScore,
         scores: n.scores,
+        scoreBreakdown: getScoreBreakdown(n),
         evidence: n.evidence,
+        signalCount: (n.signalIds || []).length,
+        citedSignalCount: (n.citedSignalIds || []).length,
         sources: n.sources,
         topics: n.topics,
         buildIdeas: n.buildIdeas || [],
+        lineage: n.lineage ? {
+          id: n.lineage.id,
+          firstSeen: n.lineage.firstSeen,
+          lastSeen: n.lineage.lastSeen,
+          appearances: n.lineage.appearances,
+        } : null,
+        lifecycle: lifecycleSummary(n),
       })),
       stats: data.stats,
     });
   });
 
   /**
-   * GET /api/narratives/:id — Single narrative with full details
+   * GET /api/narratives/:id — Single narrative with full details and lineage
+   * Accepts either the run-specific narrative id or a lineage id.
    */
   app.get('/api/narratives/:id', (req, res) => {
-    const data = loadLatestNarratives();
-    if (!data) {
-      return res.status(404).json({ success: false, message: 'No narratives found' });
-    }
+    const profile = profileParam(req, res);
+    if (profile === null) return;
+
+    const { data, narrative: found, active } = findNarrative(req.params.id);
+    let narrative = found;
 
-    const narrative = data.narratives.find(n => n.id === req.params.id);
     if (!narrative) {
-      return res.status(404).json({ success: false, message: 'Narrative not found' });
+      return res.status(404).json({ success: false, message: data ? 'Narrative not found' : 'No narratives found' });
+    }
+
+    // Under another profile the rank is relative to the rest of the snapshot
+    if (profile && active) {
+      narrative = rescoreNarratives(data.narratives, profile).find(n => n.id === narrative.id);
+    } else if (profile) {
+      narrative = rescoreNarratives([narrative], profile)[0];
     }
 
     return res.json({
       success: true,
+      active,
       narrative: {
         ...narrative,
+        scoreBreakdown: getScoreBreakdown(narrative),
         scoreExplanation: explainScore(narrative),
       },
+      lineage: narrative.lineage || null,
     });
   });
 
+  /**
+   * GET /api/narratives/:id/signals — The signals behind a narrative, grouped by source
+   * Cited signals (referenced by the clustering step) come first and are
+   * flagged `cited: true`. Signals that have aged out of the rolling window
+   * are looked up in recent snapshots; ids found nowhere are listed as missing.
+   */
+  app.get('/api/narratives/:id/signals', (req, res) => {
+    const { data, narrative } = findNarrative(req.params.id);
+    if (!narrative) {
+      return res.status(404).json({ success: false, message: data ? 'Narrative not found' : 'No narratives found' });
+    }
+
+    const ids = narrative.signalIds || [];
+    const cited = new Set(narrative.citedSignalIds || ids);
+    const byId = new Map();
+
+    for (const s of loadCurrentSignals()?.signals || []) byId.set(s.id, s);
+    if (ids.some(id => !byId.has(id))) {
+      for (const snapshot of loadSignalHistory(10)) {
+        for (const s of snapshot.signals || []) {
+          if (!byId.has(s.id)) byId.set(s.id, s);
+        }
+      }
+    }
+
+    const bySource = {};
+    const missing = [];
+    for (const id of ids) {
+      const signal = byId.get(id);
+      if (!signal) {
+        missing.push(id);
+        continue;
+      }
+      (bySource[signal.source] = bySource[signal.source] || []).push({ ...signal, cited: cited.has(id) });
+    }
+
+    return res.json({
+      success: true,
+      narrative: { id: narrative.id, name: narrative.name, lineageId: narrative.lineage?.id || null },
+      total: ids.length - missing.length,
+      cited: cited.size,
+      missing,
+      bySource,
+    });
+  });
+
+  /**
+   * GET /api/scoring/profiles — Available scoring profiles and their components
+   */
+  app.get('/api/scoring/profiles', (req, res) => {
+    try {
+      return res.json({ success: true, profiles: listScoringProfiles() });
+    } catch (err) {
+      console.error('[API] Scoring profiles error:', err.message);
+      return res.status(500).json({ success: false, message: err.message });
+    }
+  });
+
   // ==========================================
   // API: Signals
   // ==========================================
 
   /**
-   * GET /api/signals — Latest collected signals
+   * GET /api/signals — Signals in the rolling window (latest snapshot if no window yet)
+   * Query (all optional; lists are comma-separated):
+   *   source, subSource, signalType, sentiment, username, topic (+ topicMatch=any|all),
+   *   from, to, minStars, minMarketCap, q (full text over title + text),
+   *   sort=date|stars|marketCap|engagement, order=desc|asc, limit (max 500),
+   *   cursor (nextCursor of the previous page), facets=false to skip facet counts
    */
   app.get('/api/signals', (req, res) => {
-    const data = loadLatestSignals();
-    if (!data) {
-      return res.json({
-        success: true,
-        signals: [],
-        message: 'No signals collected yet. Run POST /api/collect to start.',
-      });
+    const { query, error } = parseSignalQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    const source = req.query.source || null;
-    let signals = data.signals;
-
-    if (source) {
-      signals = signals.filter(s => s.source === source);
-    }
+    try {
+      const data = loadCurrentSignals();
+      if (!data) {
+        return res.json({
+          success: true,
+          signals: [],
+          message: 'No signals collected yet. Run POST /api/collect to start.',
+        });
+      }
 
-    const limit = parseInt(req.query.limit) || 100;
-    signals = signals.slice(0, limit);
+      const result = querySignals(data.signals, query, { facets: req.query.facets !== 'false' });
 
-    return res.json({
-      success: true,
-      timestamp: data.timestamp,
-      total: data.signalCount,
-      returned: signals.length,
-      signals,
-    });
+      return res.json({
+        success: true,
+        timestamp: data.timestamp,
+        total: data.signalCount,
+        matched: result.matched,
+        returned: result.signals.length,
+        sort: query.sort,
+        order: query.order,
+        nextCursor: result.nextCursor,
+        signals: result.signals.map(s => ({ ...s, credibility: credibilityWeight(s) })),
+        facets: result.facets,
+      });
+    } catch (err) {
+      console.error('[API] Signals error:', err);
+      return res.status(500).json({ success: false, message: err.message });
+    }
   });
 
   // ==========================================
@@ -148,9 +434,10 @@ function createServer() {
    * GET /api/stats — Combined signal and narrative statistics
    */
   app.get('/api/stats', (req, res) => {
-    const signalData = loadLatestSignals();
+    const signalData = loadCurrentSignals();
     const narrativeData = loadLatestNarratives();
     const storage = getStorageStats();
+    const run = getCurrentRun();
 
     const signalStats = signalData?.signals ? getSignalStats(signalData.signals) : null;
 
@@ -161,23 +448,189 @@ function createServer() {
         bySource: signalStats.bySource,
         byType: signalStats.byType,
         topTopics: signalStats.topTopics.slice(0, 20),
+        topRawTopics: signalStats.topRawTopics.slice(0, 20),
+        topicCounts: signalStats.topicCounts,
+        sentiment: getSentimentStats(signalData.signals, 20),
         collectedAt: signalData.timestamp,
+        windowDays: signalData.windowDays || null,
       } : null,
       narratives: narrativeData ? {
         count: narrativeData.narrativeCount,
         analyzedAt: narrativeData.timestamp,
         topNarrative: narrativeData.narratives[0]?.name || null,
       } : null,
+      pipeline: { locked: !!run, run },
+      llm: getProviderStatus(),
       storage,
     });
   });
 
   /**
-   * GET /api/history — Historical narrative snapshots
+   * GET /api/topics/unmapped — Raw tags in the rolling window that the topic
+   * taxonomy does not map, most frequent first, with a suggested topic
+   * Query: ?limit=<n> (default 100)
+   */
+  app.get('/api/topics/unmapped', (req, res) => {
+    const signalData = loadCurrentSignals();
+    if (!signalData) {
+      return res.json({ success: true, unmapped: [], message: 'No signals collected yet.' });
+    }
+
+    const unmapped = findUnmappedTopics(signalData.signals);
+    const limit = parseInt(req.query.limit) || 100;
+
+    return res.json({
+      success: true,
+      timestamp: signalData.timestamp,
+      taxonomyTopics: Object.keys(loadTaxonomy().topics).length,
+      total: unmapped.length,
+      returned: Math.min(limit, unmapped.length),
+      unmapped: unmapped.slice(0, limit),
+    });
+  });
+
+  /**
+   * GET /api/breakouts — Topics whose share of the latest collection spiked
+   * against their own history (EWMA z-score), with the narratives that cover them
+   * Query: ?all=true includes every scored topic, not only breakouts; ?limit=<n> (default 50)
+   */
+  app.get('/api/breakouts', (req, res) => {
+    const scan = detectBreakouts(loadSignalHistory(BREAKOUT_LOOKBACK));
+    const narratives = loadLatestNarratives()?.narratives || [];
+    const limit = parseInt(req.query.limit) || 50;
+
+    const topics = (req.query.all === 'true' ? scan.topics : scan.topics.filter(t => t.breakout))
+      .slice(0, limit)
+      .map(t => {
+        const covering = narratives.filter(n => (n.topics || []).some(nt => nt.toLowerCase() === t.topic));
+        return {
+          ...t,
+          narratives: covering.map(n => ({ id: n.id, name: n.name, rank: n.rank })),
+          unclaimed: covering.length === 0,
+        };
+      });
+
+    return res.json({
+      success: true,
+      timestamp: scan.timestamp,
+      method: scan.method,
+      baselineSnapshots: scan.baselineSnapshots,
+      zThreshold: scan.zThreshold,
+      minSignals: scan.minSignals,
+      breakoutCount: scan.topics.filter(t => t.breakout).length,
+      topics,
+      ...(scan.topics.length === 0 ? { message: 'Not enough signal history yet to score topics.' } : {}),
+    });
+  });
+
+  /**
+   * GET /api/ideas — Distinct build ideas across narrative snapshots, newest first
+   * Query: ?limit=20 snapshots, ?narrative=<lineage id or name>, ?repeated=true|false,
+   * ?minNovelty=0.5
+   */
+  app.get('/api/ideas', (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    const narrativeQuery = (req.query.narrative || '').toLowerCase();
+    const minNovelty = parseFloat(req.query.minNovelty);
+    const repeated = req.query.repeated === undefined ? null : req.query.repeated === 'true';
+
+    const history = loadNarrativeHistory(limit);
+    let entries = catalogIdeas(history);
+
+    if (narrativeQuery) {
+      entries = entries.filter(e =>
+        e.lineageIds.some(id => id.toLowerCase() === narrativeQuery) ||
+        e.narratives.some(name => name.toLowerCase().includes(narrativeQuery))
+      );
+    }
+    if (repeated !== null) {
+      entries = entries.filter(e => !!e.idea.repeated === repeated);
+    }
+    if (!Number.isNaN(minNovelty)) {
+      entries = entries.filter(e => typeof e.idea.novelty === 'number' && e.idea.novelty >= minNovelty);
+    }
+
+    return res.json({
+      success: true,
+      snapshots: history.length,
+      total: entries.length,
+      ideas: entries.map(e => ({
+        name: e.idea.name,
+        oneLiner: e.idea.oneLiner,
+        description: e.idea.description,
+        difficulty: e.idea.difficulty,
+        novelty: e.idea.novelty ?? null,
+        repeated: e.idea.repeated ?? null,
+        repeatOf: e.idea.repeatOf || null,
+        similar: e.idea.similar || [],
+        narratives: e.narratives,
+        lineageIds: e.lineageIds,
+        firstProposed: e.firstProposed,
+        lastProposed: e.lastProposed,
+        timesProposed: e.timesProposed,
+      })),
+    });
+  });
+
+  /**
+   * GET /api/lifecycle — Lifecycle state of every tracked lineage
+   * Query: ?state=fading filters the list, ?days=14 sets the window for
+   * `died` (went dormant) and `faded` (started fading)
+   */
+  app.get('/api/lifecycle', (req, res) => {
+    const state = req.query.state || null;
+    if (state && !LIFECYCLE_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown lifecycle state "${state}". Available: ${LIFECYCLE_STATES.join(', ')}`,
+      });
+    }
+
+    const data = loadLatestNarratives();
+    if (!data) {
+      return res.json({ success: true, narratives: [], died: [], faded: [], message: 'No narratives detected yet.' });
+    }
+
+    const days = parseInt(req.query.days) || 14;
+    const summary = summarizeLifecycle(data, { days });
+    const describe = n => ({
+      id: n.id,
+      name: n.name,
+      description: n.description,
+      topics: n.topics,
+      active: n.active,
+      rank: n.active ? n.rank : null,
+      totalScore: n.totalScore,
+      lastSeen: n.active ? data.timestamp : n.lastSeen,
+      missedRuns: n.missedRuns || 0,
+      lineageId: n.lineage?.id || null,
+      firstSeen: n.lineage?.firstSeen || null,
+      lifecycle: n.lifecycle,
+    });
+
+    return res.json({
+      success: true,
+      timestamp: data.timestamp,
+      days,
+      counts: summary.counts,
+      died: summary.died.map(describe),
+      faded: summary.faded.map(describe),
+      narratives: summary.narratives.filter(n => !state || n.lifecycle.state === state).map(describe),
+    });
+  });
+
+  /**
+   * GET /api/history — Historical narrative snapshots with each narrative's lifecycle transitions
    */
   app.get('/api/history', (req, res) => {
     const limit = parseInt(req.query.limit) || 5;
     const history = loadNarrativeHistory(limit);
+    const describe = n => ({
+      name: n.name,
+      lineageId: n.lineage?.id || null,
+      state: n.lifecycle?.state || null,
+      transitions: n.lifecycle?.transitions || [],
+    });
 
     return res.json({
       success: true,
@@ -188,97 +641,317 @@ function createServer() {
           rank: n.rank,
           name: n.name,
           totalScore: n.totalScore,
+          state: n.lifecycle?.state || null,
         })),
+        transitions: h.transitions || [],
+        narratives: (h.narratives || []).map(describe),
+        inactive: (h.inactive || []).map(describe),
       })),
     });
   });
 
+  /**
+   * Two snapshots of a kind to compare: `to` is the newest one taken at or
+   * before the `to` time (default: the latest), `from` the newest one at or
+   * before the `from` time (default: the snapshot before `to`)
+   * @returns {Object} { from, to } — loaded snapshots, null where none exists
+   */
+  function pickSnapshots(kind, from, to) {
+    const snapshots = listSnapshots(kind);
+    const atOrBefore = (time) => snapshots.find(s => Date.parse(s.timestamp) <= time);
+
+    const toRef = to ? atOrBefore(to) : snapshots[0];
+    if (!toRef) return { from: null, to: null };
+    const fromRef = from
+      ? atOrBefore(from)
+      : snapshots[snapshots.indexOf(toRef) + 1];
+
+    return {
+      from: fromRef && fromRef !== toRef ? loadSnapshot(kind, fromRef.ref) : null,
+      to: loadSnapshot(kind, toRef.ref),
+    };
+  }
+
+  /**
+   * GET /api/diff — What changed between two points in time
+   * Query: ?from=<timestamp>&to=<timestamp> (any date or ISO timestamp; the
+   * snapshot taken at or before each is used), ?format=markdown for a changelog
+   */
+  app.get('/api/diff', (req, res) => {
+    const from = req.query.from ? Date.parse(req.query.from) : null;
+    const to = req.query.to ? Date.parse(req.query.to) : null;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, message: 'from / to must be dates or ISO timestamps' });
+    }
+    if (from && to && from >= to) {
+      return res.status(400).json({ success: false, message: 'from must be earlier than to' });
+    }
+
+    try {
+      const narrativeSnapshots = pickSnapshots('narratives', from, to);
+      const signalSnapshots = pickSnapshots('signals', from, to);
+
+      if (!narrativeSnapshots.from && !signalSnapshots.from) {
+        return res.status(404).json({ success: false, message: 'Need two snapshots to compare — none found for that range' });
+      }
+
+      const diff = {
+        narratives: narrativeSnapshots.from ? diffNarratives(narrativeSnapshots.from, narrativeSnapshots.to) : null,
+        signals: signalSnapshots.from ? diffSignals(signalSnapshots.from, signalSnapshots.to) : null,
+      };
+
+      if (req.query.format === 'markdown' || req.query.format === 'md') {
+        return res.type('text/markdown').send(formatDiffMarkdown(diff));
+      }
+      return res.json({ success: true, ...diff });
+    } catch (err) {
+      console.error('[API] Diff error:', err.message);
+      return res.status(500).json({ success: false, message: err.message });
+    }
+  });
+
+  /**
+   * GET /api/storage/retention — What the retention policy would archive / compact (dry run)
+   */
+  app.get('/api/storage/retention', (req, res) => {
+    try {
+      return res.json({ success: true, report: applyRetention({ dryRun: true }) });
+    } catch (err) {
+      console.error('[API] Retention report error:', err.message);
+      return res.status(500).json({ success: false, message: err.message });
+    }
+  });
+
   // ==========================================
   // API: Pipeline Triggers
   // ==========================================
 
+  const triggerLimit = triggerRateLimit();
+
   /**
-   * POST /api/collect — Trigger signal collection
+   * Start a job and respond immediately with its id (202 Accepted) — or the
+   * id of the in-flight job it joined, or 409 with the run that is in the way
    */
-  app.post('/api/collect', async (req, res) => {
-    const dayRange = parseInt(req.body.dayRange) || 14;
-    console.log(`[API] Signal collection triggered (${dayRange} days)`);
-
+  function respondWithJob(res, type, params) {
     try {
-      const result = await runCollection(dayRange);
-      return res.json({
+      const { job, joined } = startJob(type, params);
+      return res.status(202).json({
         success: true,
-        signalCount: result.signals.length,
-        stats: result.stats,
+        jobId: job.id,
+        joined,
+        state: job.state,
+        statusUrl: `/api/jobs/${job.id}`,
       });
     } catch (err) {
-      console.error('[API] Collection error:', err.message);
-      return res.status(500).json({ success: false, message: err.message });
+      if (err.code !== 'PIPELINE_BUSY') throw err;
+      return res.status(409).json({
+        success: false,
+        message: err.message,
+        runId: err.run.id,
+        jobId: err.run.jobId,
+        pipeline: err.run.pipeline,
+      });
+    }
+  }
+
+  /**
+   * Optional clustering mode from the request body ({ clustering: 'llm' | 'algorithmic' })
+   * @returns {Object} { clustering } when valid, { error } when unknown, {} when absent
+   */
+  function clusteringParam(body) {
+    if (!body?.clustering) return {};
+    if (!CLUSTERING_MODES.includes(body.clustering)) {
+      return { error: `clustering must be one of: ${CLUSTERING_MODES.join(', ')}` };
     }
+    return { clustering: body.clustering };
+  }
+
+  /**
+   * POST /api/collect — Enqueue signal collection
+   */
+  app.post('/api/collect', requireRole('operator'), triggerLimit, (req, res) => {
+    const dayRange = parseInt(req.body.dayRange) || 14;
+    console.log(`[API] Signal collection requested (${dayRange} days)`);
+    return respondWithJob(res, 'collect', { dayRange });
+  });
+
+  /**
+   * POST /api/analyze — Enqueue narrative analysis (uses latest signals)
+   * Body: { clustering?: 'llm' | 'algorithmic' }
+   */
+  app.post('/api/analyze', requireRole('operator'), triggerLimit, (req, res) => {
+    const { clustering, error } = clusteringParam(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    console.log(`[API] Narrative analysis requested${clustering ? ` (${clustering} clustering)` : ''}`);
+    return respondWithJob(res, 'analyze', { clustering });
+  });
+
+  /**
+   * POST /api/full-run — Enqueue full pipeline (collect + analyze)
+   */
+  app.post('/api/full-run', requireRole('operator'), triggerLimit, (req, res) => {
+    const dayRange = parseInt(req.body.dayRange) || 14;
+    const { clustering, error } = clusteringParam(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    console.log(`[API] Full pipeline requested (${dayRange} days)`);
+    return respondWithJob(res, 'full-run', { dayRange, clustering });
+  });
+
+  // ==========================================
+  // API: Jobs
+  // ==========================================
+
+  /**
+   * GET /api/jobs — Recent pipeline jobs (newest first)
+   */
+  app.get('/api/jobs', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const jobs = listJobs(limit);
+
+    return res.json({
+      success: true,
+      jobs: jobs.map(j => ({
+        id: j.id,
+        type: j.type,
+        state: j.state,
+        currentStep: j.currentStep,
+        createdAt: j.createdAt,
+        startedAt: j.startedAt,
+        finishedAt: j.finishedAt,
+        durationMs: j.durationMs,
+        error: j.error,
+      })),
+    });
   });
 
   /**
-   * POST /api/analyze — Trigger narrative analysis (uses latest signals)
+   * GET /api/jobs/:id — Job state, per-step progress, timings and result summary
    */
-  app.post('/api/analyze', async (req, res) => {
-    console.log('[API] Narrative analysis triggered');
+  app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    return res.json({ success: true, job });
+  });
+
+  // ==========================================
+  // API: Keys
+  // ==========================================
 
+  /**
+   * GET /api/keys — API keys, revoked ones included (hashes are never returned)
+   */
+  app.get('/api/keys', requireRole('operator'), (req, res) => {
     try {
-      const result = await runAnalysis();
-      return res.json({
-        success: true,
-        narrativeCount: result.narratives.length,
-        narratives: result.narratives.map(n => ({
-          rank: n.rank,
-          name: n.name,
-          totalScore: n.totalScore,
-          buildIdeasCount: n.buildIdeas?.length || 0,
-        })),
-      });
+      return res.json({ success: true, keys: listApiKeys() });
     } catch (err) {
-      console.error('[API] Analysis error:', err.message);
+      console.error('[API] Keys error:', err);
       return res.status(500).json({ success: false, message: err.message });
     }
   });
 
   /**
-   * POST /api/full-run — Trigger full pipeline (collect + analyze)
+   * POST /api/keys — Create an API key; the key is only returned in this response
+   * Body: { name, role?: 'viewer' | 'operator' }
    */
-  app.post('/api/full-run', async (req, res) => {
-    const dayRange = parseInt(req.body.dayRange) || 14;
-    console.log(`[API] Full pipeline triggered (${dayRange} days)`);
+  app.post('/api/keys', requireRole('operator'), (req, res) => {
+    const { name, role = 'viewer' } = req.body || {};
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'name is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(', ')}` });
+    }
 
     try {
-      const result = await runFull(dayRange);
-      return res.json({
-        success: true,
-        signalCount: result.signals.length,
-        narrativeCount: result.narratives.length,
-        narratives: result.narratives.map(n => ({
-          rank: n.rank,
-          name: n.name,
-          totalScore: n.totalScore,
-          buildIdeasCount: n.buildIdeas?.length || 0,
-        })),
-      });
+      const { key, record } = createApiKey(name, role);
+      return res.status(201).json({ success: true, key, record });
+    } catch (err) {
+      console.error('[API] Key creation error:', err);
+      return res.status(500).json({ success: false, message: err.message });
+    }
+  });
+
+  /**
+   * DELETE /api/keys/:id — Revoke an API key
+   */
+  app.delete('/api/keys/:id', requireRole('operator'), (req, res) => {
+    try {
+      const record = revokeApiKey(req.params.id);
+      if (!record) {
+        return res.status(404).json({ success: false, message: 'Key not found' });
+      }
+      return res.json({ success: true, record });
     } catch (err) {
-      console.error('[API] Full run error:', err.message);
+      console.error('[API] Key revocation error:', err);
       return res.status(500).json({ success: false, message: err.message });
     }
   });
 
+  // ==========================================
+  // API: Live Events
+  // ==========================================
+
+  /**
+   * POST /api/events/token — Trade the presented key for a short-lived stream token
+   * Browsers open /api/events with ?token= since EventSource cannot send headers.
+   */
+  app.post('/api/events/token', (req, res) => {
+    if (!req.auth.key) {
+      return res.status(400).json({ success: false, message: 'Stream tokens are issued for API keys — open /api/events directly' });
+    }
+    return res.json({ success: true, ...createStreamToken(req.auth.key) });
+  });
+
+  /**
+   * GET /api/events — Pipeline events as a Server-Sent Events stream
+   * Query: ?jobId= (only that job's events), ?since= (replay after an event id;
+   *        the Last-Event-ID header takes precedence on reconnect),
+   *        ?token= (stream token from POST /api/events/token instead of a key header)
+   */
+  app.get('/api/events', (req, res) => {
+    const jobId = req.query.jobId || null;
+    const since = parseInt(req.get('Last-Event-ID') || req.query.since) || 0;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // don't let a proxy buffer the stream
+    });
+    res.flushHeaders();
+
+    const send = event => {
+      if (jobId && event.jobId !== jobId) return;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    if (since > 0) getEventsSince(since).forEach(send);
+    else if (jobId) getEventsSince(0).forEach(send); // catch up on a job that already started
+
+    const unsubscribe = subscribeEvents(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
   // ==========================================
   // Health
   // ==========================================
 
+  // Unauthenticated — deployment details (storage, LLM, the run in flight) are on /api/stats
   app.get('/health', (req, res) => {
-    const storage = getStorageStats();
     res.json({
       status: 'ok',
       agent: 'xona-radar',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
-      storage,
+      pipeline: { locked: !!getCurrentRun() },
     });
   });
 
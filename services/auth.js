@@ -0,0 +1,315 @@
+/**
+ * API Authentication — hashed API keys with viewer / operator roles
+ *
+ * Roles:
+ * - viewer   — read-only API access
+ * - operator — also triggers pipeline runs and manages API keys
+ *
+ * Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * Browsers cannot set headers on an EventSource, so a keyed client trades
+ * its key for a short-lived stream token (POST /api/events/token) and opens
+ * the event stream with `?token=`. Tokens are signed with a per-process
+ * secret, name the key they were issued for (revoking it revokes them) and
+ * are accepted on that route only.
+ * Only a SHA-256 hash of each key is stored (data/api-keys.json, or
+ * API_KEYS_PATH) — the key itself is shown once, when it is created. The
+ * file is re-read when it changes, so keys created or revoked from the CLI
+ * apply to a running server.
+ *
+ * Requests without a key are viewers while API_PUBLIC_READ is on (the
+ * default) and get no access otherwise. API_AUTH=false turns checks off
+ * entirely (every request is an operator) for local-only setups.
+ *
+ * Usage:
+ *   npm run keys -- create <name> [--role viewer|operator]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id>
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYS_PATH = process.env.API_KEYS_PATH
+  || path.join(__dirname, '..', 'data', 'api-keys.json');
+
+const ROLES = ['viewer', 'operator']; // each role can do everything the ones before it can
+const KEY_PREFIX = 'radar_';
+const STREAM_TOKEN_TTL_MS = 10 * 60 * 1000; // long enough for EventSource reconnects during a run
+
+const streamTokenSecret = crypto.randomBytes(32);
+
+let keysCache = null;
+
+function authEnabled() {
+  return process.env.API_AUTH !== 'false';
+}
+
+function publicRead() {
+  return process.env.API_PUBLIC_READ !== 'false';
+}
+
+// ==========================================
+// Key Store
+// ==========================================
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Stored key records (re-read when the file changes)
+ * @returns {Array} [{ id, name, role, hash, hint, createdAt, revokedAt }]
+ */
+function loadKeys() {
+  if (!fs.existsSync(KEYS_PATH)) return [];
+  const { mtimeMs } = fs.statSync(KEYS_PATH);
+  if (!keysCache || keysCache.mtimeMs !== mtimeMs) {
+    keysCache = { mtimeMs, keys: JSON.parse(fs.readFileSync(KEYS_PATH, 'utf8')).keys || [] };
+  }
+  return keysCache.keys;
+}
+
+function saveKeys(keys) {
+  fs.mkdirSync(path.dirname(KEYS_PATH), { recursive: true });
+  const tmp = `${KEYS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, KEYS_PATH);
+  keysCache = null;
+}
+
+/**
+ * Key record without its hash
+ */
+function describeKey({ hash, ...key }) {
+  return key;
+}
+
+/**
+ * Create an API key
+ * @param {string} name - Who or what the key is for
+ * @param {string} [role='viewer']
+ * @returns {Object} { key, record } — the key is not stored and cannot be shown again
+ */
+function createApiKey(name, role = 'viewer') {
+  if (!name || !String(name).trim()) throw new Error('A key name is required');
+  if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const record = {
+    id: `key_${crypto.randomBytes(4).toString('hex')}`,
+    name: String(name).trim(),
+    role,
+    hash: hashKey(key),
+    hint: key.slice(-4),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  saveKeys([...loadKeys(), record]);
+  console.log(`[Auth] Created ${role} key ${record.id} (${record.name})`);
+  return { key, record: describeKey(record) };
+}
+
+/**
+ * Revoke an API key (the record is kept, marked revoked)
+ * @param {string} id
+ * @returns {Object|null} The revoked key, or null if there is no such key
+ */
+function revokeApiKey(id) {
+  const keys = loadKeys();
+  const record = keys.find(k => k.id === id);
+  if (!record) return null;
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    saveKeys(keys);
+    console.log(`[Auth] Revoked key ${record.id} (${record.name})`);
+  }
+  return describeKey(record);
+}
+
+/**
+ * All keys, revoked ones included (without hashes)
+ */
+function listApiKeys() {
+  return loadKeys().map(describeKey);
+}
+
+/**
+ * Active key record matching a presented key, or null
+ * (records whose stored hash is malformed never match)
+ */
+function verifyApiKey(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+  const hash = Buffer.from(hashKey(key), 'hex');
+  return loadKeys().find(k => {
+    if (k.revokedAt || typeof k.hash !== 'string') return false;
+    const stored = Buffer.from(k.hash, 'hex');
+    return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+  }) || null;
+}
+
+// ==========================================
+// Stream Tokens
+// ==========================================
+
+function signStreamToken(payload) {
+  return crypto.createHmac('sha256', streamTokenSecret).update(payload).digest('base64url');
+}
+
+/**
+ * Short-lived token for opening the event stream with the presented key
+ * @param {Object} key - `req.auth.key`
+ * @returns {Object} { token, expiresAt }
+ */
+function createStreamToken(key) {
+  const expiresAt = Date.now() + STREAM_TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ kid: key.id, exp: expiresAt })).toString('base64url');
+  return { token: `${payload}.${signStreamToken(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Active key record a stream token was issued for, or null when the token
+ * is forged, expired or its key has been revoked
+ */
+function verifyStreamToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signStreamToken(payload));
+  const presented = Buffer.from(signature);
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!(claims.exp > Date.now())) return null;
+  return loadKeys().find(k => k.id === claims.kid && !k.revokedAt) || null;
+}
+
+// ==========================================
+// Middleware
+// ==========================================
+
+function presentedKey(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Attach `req.auth` ({ role, key }) to every request; rejects unknown or revoked keys
+ */
+function authenticate(req, res, next) {
+  if (!authEnabled()) {
+    req.auth = { role: 'operator', key: null };
+    return next();
+  }
+
+  const key = presentedKey(req);
+  if (!key) {
+    req.auth = { role: publicRead() ? 'viewer' : null, key: null };
+    return next();
+  }
+
+  const record = verifyApiKey(key);
+  if (!record) {
+    return res.status(401).json({ success: false, message: 'Invalid or revoked API key' });
+  }
+
+  req.auth = { role: record.role, key: describeKey(record) };
+  return next();
+}
+
+/**
+ * Let a `?token=` stream token stand in for the key on routes that browsers
+ * open without custom headers (mount on those routes only, after authenticate)
+ */
+function acceptStreamToken(req, res, next) {
+  if (!authEnabled() || req.auth?.key || !req.query.token) return next();
+
+  const record = verifyStreamToken(req.query.token);
+  if (!record) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired stream token' });
+  }
+
+  req.auth = { role: record.role, key: describeKey(record) };
+  return next();
+}
+
+function hasRole(auth, role) {
+  return !!auth?.role && ROLES.indexOf(auth.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Only let requests with at least the given role through
+ * @param {string} role - viewer or operator
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.auth, role)) return next();
+    if (!req.auth?.key) {
+      return res.status(401).json({ success: false, message: `API key with the ${role} role required` });
+    }
+    return res.status(403).json({ success: false, message: `The ${role} role is required` });
+  };
+}
+
+/**
+ * Warn at startup when nobody could trigger a run over HTTP
+ */
+function checkAuthSetup() {
+  if (!authEnabled()) {
+    console.warn('[Auth] API_AUTH=false — every request has operator access');
+  } else if (!listApiKeys().some(k => k.role === 'operator' && !k.revokedAt)) {
+    console.warn('[Auth] No operator API key yet — create one with: npm run keys -- create <name> --role operator');
+  }
+}
+
+// ==========================================
+// CLI
+// ==========================================
+
+if (require.main === module) {
+  require('dotenv').config();
+  const [command, ...args] = process.argv.slice(2);
+  const roleIndex = args.indexOf('--role');
+  const role = roleIndex >= 0 ? args.splice(roleIndex, 2)[1] : 'viewer';
+
+  try {
+    if (command === 'create') {
+      const { key, record } = createApiKey(args.join(' '), role);
+      console.log(`\n   ${key}\n\n   ${record.role} key ${record.id} — store it now, it is not shown again.\n`);
+    } else if (command === 'revoke') {
+      if (!revokeApiKey(args[0])) throw new Error(`No key with id ${args[0]}`);
+    } else if (command === 'list') {
+      for (const k of listApiKeys()) {
+        console.log(`${k.id}  ${k.role.padEnd(8)}  …${k.hint}  ${k.revokedAt ? `revoked ${k.revokedAt}` : `created ${k.createdAt}`}  ${k.name}`);
+      }
+    } else {
+      console.log('Usage: npm run keys -- create <name> [--role viewer|operator] | list | revoke <id>');
+    }
+  } catch (err) {
+    console.error(`[Auth] ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  ROLES,
+  KEYS_PATH,
+  authEnabled,
+  publicRead,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  createStreamToken,
+  authenticate,
+  acceptStreamToken,
+  requireRole,
+  hasRole,
+  checkAuthSetup,
+};
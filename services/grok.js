@@ -1,9 +1,12 @@
 /**
  * Grok (xAI) API Service — Solana Radar Agent
  * Core AI engine: x_search for social intelligence, chat for analysis & clustering
+ * (analysis prompts are routed through the provider layer in llm.js)
  */
 const axios = require('axios');
 
+const { validate, validateItems, SEARCH_RESULTS_SCHEMA } = require('./schemas');
+
 const DEFAULT_MODEL = 'grok-4-1-fast-non-reasoning';
 const REASONING_MODEL = 'grok-4-1-fast-reasoning';
 const XAI_API_BASE = 'https://api.x.ai/v1';
@@ -106,10 +109,9 @@ function extractTextFromResponse(response) {
 }
 
 /**
- * Parse JSON from Grok response
+ * Parse JSON from model output text (raw, fenced or embedded)
  */
-function parseJsonFromResponse(response) {
-  const text = extractTextFromResponse(response);
+function parseJsonText(text) {
   if (!text) return null;
 
   try {
@@ -129,40 +131,148 @@ function parseJsonFromResponse(response) {
 }
 
 /**
- * High-level: ask Grok a question and get structured JSON back
+ * Parse JSON from Grok response
+ */
+function parseJsonFromResponse(response) {
+  return parseJsonText(extractTextFromResponse(response));
+}
+
+/**
+ * Send a prompt to the active LLM provider and return the raw text
  */
-async function askGrokForJson({ prompt, systemInstruction, tools = [], model }) {
-  const response = await callGrokApi({
-    message: prompt,
+function completeJsonPrompt({ prompt, systemInstruction, tools = [], model }) {
+  // Required lazily — the provider layer itself builds on callGrokApi
+  const { completeText } = require('./llm');
+  return completeText({
+    prompt,
     tools,
     systemInstruction: systemInstruction || 'You are an expert analyst. Return ONLY valid JSON, no markdown, no explanation.',
     model
   });
-  return parseJsonFromResponse(response);
+}
+
+/**
+ * High-level: ask the active LLM provider (LLM_PROVIDER, Grok by default)
+ * a question and get structured JSON back
+ */
+async function askGrokForJson(params) {
+  return parseJsonText(await completeJsonPrompt(params));
+}
+
+// ==========================================
+// Schema Validation & Repair
+// ==========================================
+
+// Failures since the last takeValidationFailures() — drained into run metadata
+let validationFailures = [];
+
+function getMaxAttempts() {
+  return Math.max(1, parseInt(process.env.LLM_MAX_ATTEMPTS) || 3);
+}
+
+/**
+ * Re-prompt with the original task, the rejected output and what was wrong with it
+ */
+function buildRepairPrompt(prompt, previousText, errors) {
+  const shown = errors.slice(0, 15);
+  return `${prompt}
+
+## Correction Required
+Your previous response did not match the required JSON format.
+
+Previous response:
+${(previousText || '(empty)').substring(0, 4000)}
+
+Problems:
+${shown.map(e => `- ${e}`).join('\n')}${errors.length > shown.length ? `\n- …and ${errors.length - shown.length} more` : ''}
+
+Return the corrected JSON only.`;
+}
+
+/**
+ * Check parsed output against a schema
+ * @returns {Object} { errors, value } — value has invalid items removed for
+ *   `dropInvalidItems` list schemas
+ */
+function checkJson(json, schema, label) {
+  if (json === null) return { errors: ['response is not parseable JSON'], value: null };
+  if (!schema.dropInvalidItems) return { errors: validate(json, schema), value: json };
+
+  const { errors, items, dropped } = validateItems(json, schema);
+  if (dropped.length > 0) {
+    console.warn(`[Grok] ${schema.name}${label ? ` "${label}"` : ''}: dropped ${dropped.length}/${json.length} invalid item(s): ${dropped[0].errors[0]}`);
+  }
+  return { errors, value: items };
+}
+
+/**
+ * Ask for JSON and validate it against a schema, re-prompting with the
+ * validation errors up to LLM_MAX_ATTEMPTS times (default 3)
+ * @param {Object} params - { prompt, systemInstruction, tools, model, schema, label }
+ *   (label names the request in logs, e.g. the search query)
+ * @returns {Promise<Object|Array|null>} Valid JSON, or null when every attempt failed
+ */
+async function askGrokForValidJson({ schema, label, ...params }) {
+  const maxAttempts = getMaxAttempts();
+  let prompt = params.prompt;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const text = await completeJsonPrompt({ ...params, prompt });
+    const { errors, value } = checkJson(parseJsonText(text), schema, label);
+    if (errors.length === 0) return value;
+
+    validationFailures.push({
+      schema: schema.name,
+      attempt,
+      maxAttempts,
+      errors: errors.slice(0, 10),
+      errorCount: errors.length,
+      timestamp: new Date().toISOString(),
+    });
+    console.warn(`[Grok] ${schema.name} output invalid (attempt ${attempt}/${maxAttempts}): ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+
+    prompt = buildRepairPrompt(params.prompt, text, errors);
+  }
+
+  console.error(`[Grok] ${schema.name} output still invalid after ${maxAttempts} attempts — giving up`);
+  return null;
+}
+
+/**
+ * Return and clear the validation failures recorded since the last call
+ * @returns {Array} [{ schema, attempt, maxAttempts, errors, errorCount, timestamp }]
+ */
+function takeValidationFailures() {
+  const taken = validationFailures;
+  validationFailures = [];
+  return taken;
 }
 
 /**
  * High-level: search X via Grok x_search and get structured results
  */
-async function searchX({ query, systemInstruction, outputFormat }) {
+async function searchX({ query, systemInstruction, outputFormat, schema = SEARCH_RESULTS_SCHEMA }) {
   const sysPrompt = systemInstruction || `You are a social media research agent. Use x_search to find relevant posts.
 Search for: "${query}"
 ${outputFormat ? `Return results as JSON in this format: ${outputFormat}` : 'Return results as a JSON array.'}`;
 
-  const response = await callGrokApi({
-    message: `Search X for: ${query}`,
+  return askGrokForValidJson({
+    prompt: `Search X for: ${query}`,
     tools: [{ type: 'x_search' }],
-    systemInstruction: sysPrompt
+    systemInstruction: sysPrompt,
+    schema,
+    label: query,
   });
-
-  return parseJsonFromResponse(response);
 }
 
 module.exports = {
   callGrokApi,
   callGrokChat,
   extractTextFromResponse,
+  parseJsonText,
   parseJsonFromResponse,
   askGrokForJson,
+  askGrokForValidJson,
+  takeValidationFailures,
   searchX
 };
@@ -0,0 +1,247 @@
+/**
+ * HTTP Recorder — record & replay for all outbound axios traffic
+ *
+ * Every collector and the Grok client use the default axios instance, so
+ * wrapping its adapter captures all outbound HTTP in one place.
+ *
+ * HTTP_MODE:
+ * - live   (default) — normal network access
+ * - record — real requests; every request/response pair is written to a fixture file
+ * - replay — no network; responses are served from fixtures, misses fail the request
+ *
+ * Fixtures live in HTTP_FIXTURES_DIR (default data/fixtures), one JSON file
+ * per request, keyed by a normalized request: method + URL (sorted query) +
+ * canonical JSON body, with secrets replaced by placeholders and dates
+ * replaced by a token so a run recorded on one day replays on any other.
+ * Identical requests made several times in a run are stored in order.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const MODES = ['live', 'record', 'replay'];
+
+/** Env vars whose values must never end up in a fixture or a key */
+const SECRET_ENV = ['XAI_API_KEY', 'OPENAI_API_KEY', 'GITHUB_TOKEN', 'SOLANA_RPC_URL'];
+
+const MANIFEST = 'manifest.json';
+
+let installed = null;
+
+function getMode() {
+  const mode = (process.env.HTTP_MODE || 'live').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP_MODE "${mode}" (expected one of: ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+function getFixturesDir() {
+  return process.env.HTTP_FIXTURES_DIR || path.join(__dirname, '..', 'data', 'fixtures');
+}
+
+// ==========================================
+// Request Normalization
+// ==========================================
+
+/**
+ * Replace secret env values with <NAME> placeholders
+ */
+function redact(str) {
+  let out = String(str);
+  for (const key of SECRET_ENV) {
+    const value = process.env[key];
+    if (value) out = out.split(value).join(`<${key}>`);
+  }
+  return out;
+}
+
+/**
+ * Replace dates (2026-03-01, 2026-03-01T06:00:00.000Z) with a stable token
+ */
+function maskDates(str) {
+  return str.replace(/\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d+)?Z?)?/g, '<DATE>');
+}
+
+/**
+ * Stable JSON (sorted keys) so key order never changes the request key
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function parseBody(data) {
+  if (data === undefined || data === null || data === '') return null;
+  if (typeof data !== 'string') return data;
+  try { return JSON.parse(data); } catch { return data; }
+}
+
+/**
+ * Describe a request in normalized, secret-free form
+ * @returns {Object} { method, url, body, key }
+ */
+function normalizeRequest(config) {
+  const method = (config.method || 'get').toUpperCase();
+
+  const uri = new URL(redact(axios.getUri(config)).replace(/<SOLANA_RPC_URL>/, 'https://solana-rpc.invalid/'));
+  uri.searchParams.sort();
+  const url = uri.toString();
+
+  const body = parseBody(config.data);
+  const bodyText = body === null ? '' : redact(typeof body === 'string' ? body : canonicalJson(body));
+
+  const keySource = maskDates(`${method} ${url}\n${bodyText}`);
+  const hash = crypto.createHash('sha1').update(keySource).digest('hex').substring(0, 16);
+  const slug = `${uri.hostname}${uri.pathname}`.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').substring(0, 60);
+
+  return {
+    method,
+    url,
+    body,
+    key: `${method.toLowerCase()}_${slug}_${hash}`,
+  };
+}
+
+// ==========================================
+// Fixture Files
+// ==========================================
+
+function fixturePath(dir, key, seq) {
+  return path.join(dir, `${key}${seq > 0 ? `.${seq}` : ''}.json`);
+}
+
+function serializeResponse(response) {
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: { 'content-type': response.headers?.['content-type'] || null },
+    body: parseBody(response.data),
+  };
+}
+
+function buildResponse(recorded, config) {
+  return {
+    data: typeof recorded.body === 'string' || recorded.body === null
+      ? recorded.body
+      : JSON.stringify(recorded.body),
+    status: recorded.status,
+    statusText: recorded.statusText || '',
+    headers: recorded.headers || {},
+    config,
+    request: null,
+  };
+}
+
+// ==========================================
+// Adapter
+// ==========================================
+
+function createRecordingAdapter(mode, realAdapter, dir) {
+  // Per-key call counters so repeated identical requests map to successive fixtures
+  const seen = new Map();
+
+  return async function recorderAdapter(config) {
+    const request = normalizeRequest(config);
+    const seq = seen.get(request.key) || 0;
+    seen.set(request.key, seq + 1);
+
+    if (mode === 'replay') {
+      // Fall back to the last recorded response when a request repeats more often than recorded
+      let file = fixturePath(dir, request.key, seq);
+      for (let i = seq - 1; !fs.existsSync(file) && i >= 0; i--) {
+        file = fixturePath(dir, request.key, i);
+      }
+      if (!fs.existsSync(file)) {
+        throw new axios.AxiosError(
+          `[Replay] No fixture for ${request.method} ${request.url}`,
+          'ERR_NO_FIXTURE',
+          config
+        );
+      }
+
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (fixture.error) {
+        throw new axios.AxiosError(fixture.error.message, fixture.error.code, config);
+      }
+
+      const response = buildResponse(fixture.response, config);
+      const validate = config.validateStatus;
+      if (!validate || validate(response.status)) return response;
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        null,
+        response
+      );
+    }
+
+    // Record: perform the real request, then persist the outcome (success or failure).
+    // The whole fixture is redacted — responses can echo keys back too.
+    const write = (outcome) => {
+      fs.writeFileSync(
+        fixturePath(dir, request.key, seq),
+        redact(JSON.stringify({ recordedAt: new Date().toISOString(), request, ...outcome }, null, 2))
+      );
+    };
+
+    try {
+      const response = await realAdapter(config);
+      write({ response: serializeResponse(response) });
+      return response;
+    } catch (err) {
+      if (err.response) write({ response: serializeResponse(err.response) });
+      else write({ error: { message: err.message, code: err.code || null } });
+      throw err;
+    }
+  };
+}
+
+/**
+ * Install the recorder on the default axios instance (idempotent).
+ * Call after dotenv has loaded and before any outbound request.
+ * @returns {string} Active mode
+ */
+function installHttpRecorder() {
+  const mode = getMode();
+  if (installed) return installed;
+  installed = mode;
+  if (mode === 'live') return mode;
+
+  const dir = getFixturesDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const manifestFile = path.join(dir, MANIFEST);
+
+  if (mode === 'record') {
+    // Remember which secrets were configured so replay takes the same code paths
+    fs.writeFileSync(manifestFile, JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      env: Object.fromEntries(SECRET_ENV.map(key => [key, !!process.env[key]])),
+    }, null, 2));
+  } else {
+    const manifest = fs.existsSync(manifestFile)
+      ? JSON.parse(fs.readFileSync(manifestFile, 'utf8'))
+      : { env: {} };
+    for (const key of SECRET_ENV) {
+      if (manifest.env[key] && !process.env[key]) {
+        process.env[key] = key === 'SOLANA_RPC_URL' ? 'https://solana-rpc.invalid/' : `replay-${key.toLowerCase()}`;
+      }
+    }
+  }
+
+  const realAdapter = axios.getAdapter(axios.defaults.adapter);
+  axios.defaults.adapter = createRecordingAdapter(mode, realAdapter, dir);
+
+  console.log(`[HTTP] ${mode === 'record' ? 'Recording' : 'Replaying'} outbound requests ${mode === 'record' ? '→' : '←'} ${dir}`);
+  return mode;
+}
+
+module.exports = {
+  installHttpRecorder,
+  normalizeRequest,
+};
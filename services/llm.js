@@ -0,0 +1,166 @@
+/**
+ * LLM Providers — pluggable chat backends for analysis
+ *
+ * Clustering and build-idea generation only need "prompt in, JSON out", so
+ * they run against whichever provider LLM_PROVIDER selects:
+ *
+ * - grok   (default) — xAI responses API; the only provider with x_search
+ * - openai — any OpenAI-compatible /chat/completions endpoint (OpenAI, OpenRouter, Together, vLLM…)
+ * - local  — a self-hosted Ollama or llama.cpp server (OpenAI-compatible API, no key)
+ *
+ * Each provider declares its capabilities; collectors that need a capability
+ * (e.g. x_search) are skipped when the active provider lacks it.
+ */
+const axios = require('axios');
+
+const { callGrokApi, extractTextFromResponse } = require('./grok');
+
+// ==========================================
+// OpenAI-compatible Chat
+// ==========================================
+
+/**
+ * POST /chat/completions against an OpenAI-compatible server
+ * @returns {string|null} Assistant message text
+ */
+async function callChatCompletions({ baseUrl, apiKey, model, messages, jsonMode, timeout }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const response = await axios.post(
+    `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    {
+      model,
+      messages,
+      temperature: 0.2,
+      response_format: jsonMode ? { type: 'json_object' } : undefined,
+    },
+    { headers, timeout }
+  );
+
+  return response.data?.choices?.[0]?.message?.content?.trim() || null;
+}
+
+function toMessages({ prompt, systemInstruction }) {
+  const messages = [];
+  if (systemInstruction) messages.push({ role: 'system', content: systemInstruction });
+  messages.push({ role: 'user', content: prompt });
+  return messages;
+}
+
+// ==========================================
+// Providers
+// ==========================================
+
+const PROVIDERS = {
+  grok: {
+    label: 'xAI Grok',
+    requiredEnv: ['XAI_API_KEY'],
+    capabilities: ['chat', 'x_search'],
+    model: () => process.env.LLM_MODEL || undefined,
+    complete: async ({ prompt, systemInstruction, tools, model }) => {
+      const response = await callGrokApi({ message: prompt, systemInstruction, tools, model });
+      return extractTextFromResponse(response);
+    },
+  },
+
+  openai: {
+    label: 'OpenAI-compatible',
+    requiredEnv: ['OPENAI_API_KEY'],
+    capabilities: ['chat'],
+    model: () => process.env.LLM_MODEL || 'gpt-4o-mini',
+    complete: ({ prompt, systemInstruction, model }) => callChatCompletions({
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model,
+      messages: toMessages({ prompt, systemInstruction }),
+      jsonMode: true,
+      timeout: 180000,
+    }),
+  },
+
+  local: {
+    label: 'Local (Ollama / llama.cpp)',
+    requiredEnv: [],
+    capabilities: ['chat'],
+    model: () => process.env.LLM_MODEL || 'llama3.1',
+    complete: ({ prompt, systemInstruction, model }) => callChatCompletions({
+      baseUrl: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+      model,
+      messages: toMessages({ prompt, systemInstruction }),
+      jsonMode: true,
+      // Self-hosted models on modest hardware can take a while on large digests
+      timeout: 600000,
+    }),
+  },
+};
+
+/**
+ * Name of the active provider (LLM_PROVIDER, default grok)
+ */
+function getProviderName() {
+  const name = (process.env.LLM_PROVIDER || 'grok').toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return name;
+}
+
+function getProvider() {
+  const name = getProviderName();
+  return { name, ...PROVIDERS[name] };
+}
+
+/**
+ * Whether the active provider supports a capability (e.g. 'x_search')
+ */
+function hasCapability(capability) {
+  return getProvider().capabilities.includes(capability);
+}
+
+/**
+ * Active provider readiness (used for pre-flight checks and /api/stats)
+ * @returns {Object} { name, label, model, capabilities, missingEnv, ready }
+ */
+function getProviderStatus() {
+  const provider = getProvider();
+  const missingEnv = provider.requiredEnv.filter(key => !process.env[key]);
+  return {
+    name: provider.name,
+    label: provider.label,
+    model: provider.model() || 'default',
+    capabilities: provider.capabilities,
+    missingEnv,
+    ready: missingEnv.length === 0,
+  };
+}
+
+/**
+ * Send a prompt to the active provider
+ * @param {Object} params - { prompt, systemInstruction, tools, model }
+ * @returns {Promise<string|null>} Raw response text
+ */
+async function completeText({ prompt, systemInstruction, tools = [], model }) {
+  const provider = getProvider();
+
+  // Tools are provider features (x_search) — refuse rather than silently drop them
+  const missing = tools.map(t => t.type).filter(type => !provider.capabilities.includes(type));
+  if (missing.length > 0) {
+    throw new Error(`LLM provider "${provider.name}" does not support: ${missing.join(', ')}`);
+  }
+
+  return provider.complete({
+    prompt,
+    systemInstruction,
+    tools,
+    model: model || provider.model(),
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  getProviderName,
+  getProviderStatus,
+  hasCapability,
+  completeText,
+};
@@ -0,0 +1,64 @@
+/**
+ * Rate Limiting — per-client request budgets for expensive endpoints
+ *
+ * Fixed window per client: at most `limit` requests every `windowMs`.
+ * A client is its API key when it sent one (see auth.js), its IP address
+ * otherwise — set TRUST_PROXY when running behind a reverse proxy so the
+ * address is the real client's. Over the limit: 429 with Retry-After.
+ */
+
+const PRUNE_AT = 1000; // tracked clients before expired windows are swept
+
+function clientId(req) {
+  return req.auth?.key ? `key:${req.auth.key.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Rate limit middleware
+ * @param {Object} options
+ * @param {string} options.name - What is limited (for logs and messages)
+ * @param {number} options.limit - Requests per window (0 disables the limit)
+ * @param {number} options.windowMs
+ * @returns {Function} Express middleware
+ */
+function rateLimit({ name, limit, windowMs }) {
+  const windows = new Map();
+
+  return (req, res, next) => {
+    if (!limit) return next();
+
+    const now = Date.now();
+    if (windows.size >= PRUNE_AT) {
+      for (const [id, w] of windows) if (w.resetAt <= now) windows.delete(id);
+    }
+
+    const id = clientId(req);
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(limit - window.count, 0)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (window.count > limit) {
+      console.log(`[RateLimit] ${name}: ${id} over ${limit} per ${Math.round(windowMs / 60000)}min`);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many ${name} requests — try again in ${resetSeconds}s`,
+        retryAfter: resetSeconds,
+      });
+    }
+
+    return next();
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,228 @@
+/**
+ * LLM Output Schemas — declared shapes for every JSON payload we ask a model for
+ *
+ * A deliberately small JSON-Schema subset (type, required, properties,
+ * items, enum, minimum/maximum, minItems, minLength) — enough to catch the
+ * failure modes that matter downstream: missing arrays, "high" where a
+ * number is expected, enum values the scorer does not know.
+ *
+ * validate() returns human-readable errors; they are fed back to the model
+ * verbatim by the repair loop in grok.js, so keep them specific.
+ *
+ * List schemas marked `dropInvalidItems` are checked with validateItems():
+ * only the list shape can fail the response, items that do not match are
+ * dropped. One malformed post should not cost a paid re-prompt or the
+ * rest of the batch. Such schemas can also name a `normalizeItem` that maps
+ * known variants (alternate key names, label casing) onto the declared
+ * shape first, so usable posts are not dropped over spelling.
+ */
+
+// ==========================================
+// Validator
+// ==========================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.substring(0, 40)}…` : text;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [at] - Path of the value (for error messages)
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validate(value, schema, at = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.includes(actual) && !(types.includes('integer') && Number.isInteger(value))) {
+    errors.push(`${at}: expected ${types.join(' or ')}, got ${actual} (${preview(value)})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${preview(value)}`);
+  }
+
+  if (actual === 'number') {
+    if (Number.isNaN(value)) errors.push(`${at}: is NaN`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}, got ${value}`);
+  }
+
+  if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(value[key], propSchema, `${at}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list item by item, dropping the items that do not match
+ * @param {*} value
+ * @param {Object} schema - Array schema
+ * @param {string} [at]
+ * @returns {Object} { errors, items, dropped } — errors are for the list
+ *   itself (items is null then); dropped: [{ index, errors }]
+ */
+function validateItems(value, schema, at = '$') {
+  const errors = validate(value, { ...schema, items: undefined }, at);
+  if (errors.length > 0) return { errors, items: null, dropped: [] };
+
+  const items = [];
+  const dropped = [];
+  value.forEach((raw, i) => {
+    const item = schema.normalizeItem ? schema.normalizeItem(raw) : raw;
+    const itemErrors = validate(item, schema.items, `${at}[${i}]`);
+    if (itemErrors.length > 0) dropped.push({ index: i, errors: itemErrors });
+    else items.push(item);
+  });
+  return { errors: [], items, dropped };
+}
+
+// ==========================================
+// Schemas
+// ==========================================
+
+const text = { type: 'string', minLength: 1 };
+const stringList = { type: 'array', items: text };
+
+/** clusterNarratives → { narratives: [...] } */
+const NARRATIVES_SCHEMA = {
+  name: 'narratives',
+  type: 'object',
+  required: ['narratives'],
+  properties: {
+    narratives: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'description', 'evidence', 'sources', 'topics', 'stage', 'confidence', 'velocity'],
+        properties: {
+          id: text,
+          name: text,
+          description: text,
+          evidence: { ...stringList, minItems: 1 },
+          signalIds: stringList,
+          sources: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: ['social', 'onchain', 'github', 'research'] },
+          },
+          topics: stringList,
+          stage: { type: 'string', enum: ['emerging', 'accelerating', 'maturing'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          velocity: { type: 'string', enum: ['rising', 'stable', 'declining'] },
+        },
+      },
+    },
+  },
+};
+
+/** generateIdeasForNarrative → { ideas: [...] } */
+const BUILD_IDEAS_SCHEMA = {
+  name: 'build_ideas',
+  type: 'object',
+  required: ['ideas'],
+  properties: {
+    ideas: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'oneLiner', 'description', 'difficulty'],
+        properties: {
+          name: text,
+          oneLiner: text,
+          description: text,
+          whySolana: { type: 'string' },
+          technicalApproach: { type: 'string' },
+          difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+          targetUser: { type: 'string' },
+          monetization: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+/**
+ * Map the key names models use interchangeably onto username / text / url;
+ * sentiment is lowercased, and dropped when it is not one we know (the
+ * collectors default it to neutral)
+ */
+function normalizeSearchResult(post) {
+  if (typeOf(post) !== 'object') return post;
+
+  const normalized = {
+    ...post,
+    username: post.username ?? post.x_username,
+    text: post.text ?? post.tweet_content,
+    url: post.url ?? post.post_url,
+  };
+  const sentiment = typeof post.sentiment === 'string' ? post.sentiment.trim().toLowerCase() : undefined;
+  if (SENTIMENTS.includes(sentiment)) normalized.sentiment = sentiment;
+  else delete normalized.sentiment;
+
+  for (const key of ['username', 'text', 'url']) {
+    if (normalized[key] === undefined) delete normalized[key];
+  }
+  return normalized;
+}
+
+/** searchX → [...] posts (social + research collectors); invalid posts are dropped */
+const SEARCH_RESULTS_SCHEMA = {
+  name: 'search_results',
+  type: 'array',
+  dropInvalidItems: true,
+  normalizeItem: normalizeSearchResult,
+  items: {
+    type: 'object',
+    required: ['username', 'text'],
+    properties: {
+      username: { type: 'string' },
+      text,
+      url: { type: ['string', 'null'] },
+      date: { type: ['string', 'null'] },
+      topics: { type: 'array', items: { type: 'string' } },
+      sentiment: { type: 'string', enum: SENTIMENTS },
+    },
+  },
+};
+
+module.exports = {
+  validate,
+  validateItems,
+  NARRATIVES_SCHEMA,
+  BUILD_IDEAS_SCHEMA,
+  SEARCH_RESULTS_SCHEMA,
+};
@@ -7,6 +7,7 @@
  * - Trending topics in Solana development
  */
 const axios = require('axios');
+const { registerCollector } = require('./registry');
 
 const GITHUB_API = 'https://api.github.com';
 
@@ -218,18 +219,12 @@ async function collectGithubSignals(dayRange = 14) {
 
   const results = await Promise.allSettled(searches);
 
+  // Repos found by several searches are kept once per search; normalizeAll
+  // merges them and records every search that found the repo
   const signals = [];
-  const seenRepos = new Set();
-
   for (const result of results) {
     if (result.status === 'fulfilled' && Array.isArray(result.value)) {
-      for (const signal of result.value) {
-        // De-duplicate by repo name
-        if (!seenRepos.has(signal.name)) {
-          seenRepos.add(signal.name);
-          signals.push(signal);
-        }
-      }
+      signals.push(...result.value);
     }
   }
 
@@ -237,6 +232,14 @@ async function collectGithubSignals(dayRange = 14) {
   return signals;
 }
 
+registerCollector({
+  name: 'github',
+  label: 'GitHub (dev activity)',
+  collect: ({ dayRange }) => collectGithubSignals(dayRange),
+  optionalEnv: ['GITHUB_TOKEN'],
+  timeoutMs: 3 * 60 * 1000,
+});
+
 module.exports = {
   collectGithubSignals,
   findNewSolanaRepos,
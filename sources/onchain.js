@@ -7,6 +7,7 @@
  * - Network-level activity patterns
  */
 const axios = require('axios');
+const { registerCollector } = require('./registry');
 
 const PUMPFUN_API = 'https://frontend-api-v3.pump.fun';
 const DEXSCREENER_API = 'https://api.dexscreener.com';
@@ -228,6 +229,14 @@ async function collectOnChainSignals() {
   return signals;
 }
 
+registerCollector({
+  name: 'onchain',
+  label: 'On-chain (RPC, PumpFun, DexScreener)',
+  collect: () => collectOnChainSignals(),
+  optionalEnv: ['SOLANA_RPC_URL'],
+  timeoutMs: 2 * 60 * 1000,
+});
+
 module.exports = {
   collectOnChainSignals,
   getTopPrograms,
@@ -0,0 +1,157 @@
+/**
+ * Collector Registry — pluggable signal sources
+ *
+ * Each module in sources/ registers its collector here with a name, a
+ * collect function, the env vars it needs, a default enabled flag and a
+ * timeout, plus any LLM capabilities it relies on (e.g. x_search) — those
+ * collectors are skipped when the active LLM provider lacks them.
+ * The scheduler just loops over the enabled collectors, so a new
+ * source is added by dropping a module into sources/ — no scheduler edits.
+ *
+ * Enable / disable with comma-separated collector names:
+ *   COLLECTORS_ENABLED=onchain,github   (turns on collectors that default to off)
+ *   COLLECTORS_DISABLED=research        (turns off collectors that default to on)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { hasCapability } = require('../services/llm');
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const collectors = new Map();
+let modulesLoaded = false;
+
+/**
+ * Register a signal collector
+ * @param {Object} def
+ * @param {string} def.name - Unique collector name (also the env toggle name)
+ * @param {string} [def.label] - Human-readable label for logs / pre-flight
+ * @param {Function} def.collect - async ({ dayRange }) => Array of raw signals
+ * @param {Array<string>} [def.requiredEnv] - Env vars without which the collector is skipped
+ * @param {Array<string>} [def.optionalEnv] - Env vars that improve results when set
+ * @param {Array<string>} [def.capabilities] - LLM provider capabilities needed (e.g. 'x_search')
+ * @param {boolean} [def.enabled=true] - Enabled unless turned off via COLLECTORS_DISABLED
+ * @param {number} [def.timeoutMs] - Max run time before the collector is abandoned
+ */
+function registerCollector(def) {
+  if (!def?.name || typeof def.collect !== 'function') {
+    throw new Error('Collector must have a name and a collect function');
+  }
+  if (collectors.has(def.name)) {
+    throw new Error(`Collector "${def.name}" is already registered`);
+  }
+
+  collectors.set(def.name, {
+    label: def.name,
+    requiredEnv: [],
+    optionalEnv: [],
+    capabilities: [],
+    enabled: true,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    ...def,
+  });
+}
+
+/**
+ * Require every module in sources/ so they can self-register
+ */
+function loadSourceModules() {
+  if (modulesLoaded) return;
+  modulesLoaded = true;
+
+  for (const file of fs.readdirSync(__dirname).sort()) {
+    if (!file.endsWith('.js') || file === path.basename(__filename)) continue;
+    require(path.join(__dirname, file));
+  }
+}
+
+function envList(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a collector is switched on (default flag + env overrides)
+ */
+function isCollectorEnabled(collector) {
+  if (envList('COLLECTORS_DISABLED').includes(collector.name)) return false;
+  if (envList('COLLECTORS_ENABLED').includes(collector.name)) return true;
+  return collector.enabled;
+}
+
+/**
+ * Required env vars that are not set for a collector
+ */
+function getMissingEnv(collector) {
+  return collector.requiredEnv.filter(key => !process.env[key]);
+}
+
+/**
+ * Capabilities a collector needs that the active LLM provider does not offer
+ */
+function getMissingCapabilities(collector) {
+  return collector.capabilities.filter(cap => !hasCapability(cap));
+}
+
+/**
+ * All registered collectors, in registration order
+ * @returns {Array}
+ */
+function getCollectors() {
+  loadSourceModules();
+  return [...collectors.values()];
+}
+
+/**
+ * Readiness of every collector (used for pre-flight checks and logs)
+ * @returns {Array} [{ name, label, enabled, missingEnv, missingOptionalEnv, missingCapabilities, ready }]
+ */
+function getCollectorStatus() {
+  return getCollectors().map(c => {
+    const enabled = isCollectorEnabled(c);
+    const missingEnv = getMissingEnv(c);
+    const missingCapabilities = getMissingCapabilities(c);
+    return {
+      name: c.name,
+      label: c.label,
+      enabled,
+      requiredEnv: c.requiredEnv,
+      missingEnv,
+      missingOptionalEnv: c.optionalEnv.filter(key => !process.env[key]),
+      missingCapabilities,
+      ready: enabled && missingEnv.length === 0 && missingCapabilities.length === 0,
+    };
+  });
+}
+
+/**
+ * Run one collector with its timeout
+ * @param {Object} collector
+ * @param {Object} context - { dayRange }
+ * @returns {Promise<Array>}
+ */
+function runCollector(collector, context) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`timed out after ${Math.round(collector.timeoutMs / 1000)}s`)),
+      collector.timeoutMs
+    );
+  });
+
+  const run = Promise.resolve().then(() => collector.collect(context));
+  return Promise.race([run, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  registerCollector,
+  getCollectors,
+  getCollectorStatus,
+  isCollectorEnabled,
+  getMissingEnv,
+  getMissingCapabilities,
+  runCollector,
+};
@@ -7,6 +7,8 @@
  * - Data-driven analysis and market intelligence
  */
 const { searchX, askGrokForJson } = require('../services/grok');
+const { registerCollector } = require('./registry');
+const { accountTierOf } = require('./social');
 
 // ==========================================
 // Research Sources
@@ -84,6 +86,7 @@ Return JSON array. Focus on posts with DATA or ANALYSIS, not opinions. Max 10 re
             source: 'research',
             subSource: source.name,
             username: r.username || 'unknown',
+            accountTier: accountTierOf(r.username),
             text: r.text || '',
             url: r.url || null,
             date: r.date || new Date().toISOString(),
@@ -108,6 +111,15 @@ Return JSON array. Focus on posts with DATA or ANALYSIS, not opinions. Max 10 re
   return signals;
 }
 
+registerCollector({
+  name: 'research',
+  label: 'Research (Grok x_search)',
+  collect: ({ dayRange }) => collectResearchSignals(dayRange),
+  requiredEnv: ['XAI_API_KEY'],
+  capabilities: ['x_search'],
+  timeoutMs: 15 * 60 * 1000,
+});
+
 module.exports = {
   collectResearchSignals,
   RESEARCH_QUERIES,
@@ -5,6 +5,7 @@
  * for emerging themes, project mentions, and sentiment shifts.
  */
 const { searchX, askGrokForJson } = require('../services/grok');
+const { registerCollector } = require('./registry');
 
 // ==========================================
 // KOL & Account Lists
@@ -39,6 +40,18 @@ const RESEARCH_ACCOUNTS = [
 /** All accounts combined */
 const ALL_ACCOUNTS = [...TIER1_KOLS, ...TIER2_KOLS, ...RESEARCH_ACCOUNTS];
 
+/**
+ * Tier of an X account ('tier1', 'tier2', 'research'), or null for anyone else.
+ * Carried on every X signal as `accountTier` so credibility weighting can use it.
+ */
+function accountTierOf(username) {
+  const handle = String(username || '').replace(/^@/, '').toLowerCase();
+  if (TIER1_KOLS.some(a => a.toLowerCase() === handle)) return 'tier1';
+  if (TIER2_KOLS.some(a => a.toLowerCase() === handle)) return 'tier2';
+  if (RESEARCH_ACCOUNTS.some(a => a.toLowerCase() === handle)) return 'research';
+  return null;
+}
+
 // ==========================================
 // Signal Collection
 // ==========================================
@@ -85,9 +98,10 @@ Return JSON array of objects. Max 20 results, sorted by relevance.`
         signals.push({
           source: 'social',
           subSource: 'kol',
-          username: s.username || s.x_username || 'unknown',
-          text: s.text || s.tweet_content || '',
-          url: s.url || s.post_url || null,
+          username: s.username || 'unknown',
+          accountTier: accountTierOf(s.username),
+          text: s.text || '',
+          url: s.url || null,
           date: s.date || new Date().toISOString(),
           engagement: s.engagement || 'medium',
           topics: Array.isArray(s.topics) ? s.topics : [],
@@ -130,6 +144,7 @@ Return JSON array, max 15 results, sorted by novelty and engagement.`
           source: 'social',
           subSource: 'trending',
           username: s.username || 'unknown',
+          accountTier: accountTierOf(s.username),
           text: s.text || '',
           url: s.url || null,
           date: s.date || new Date().toISOString(),
@@ -171,6 +186,7 @@ Return JSON array, max 15 results, sorted by novelty and engagement.`
             subSource: 'topic_search',
             query,
             username: s.username || 'unknown',
+            accountTier: accountTierOf(s.username),
             text: s.text || '',
             url: s.url || null,
             date: s.date || new Date().toISOString(),
@@ -192,8 +208,18 @@ Return JSON array, max 15 results, sorted by novelty and engagement.`
   return signals;
 }
 
+registerCollector({
+  name: 'social',
+  label: 'Social / X (Grok x_search)',
+  collect: ({ dayRange }) => collectSocialSignals(dayRange),
+  requiredEnv: ['XAI_API_KEY'],
+  capabilities: ['x_search'],
+  timeoutMs: 15 * 60 * 1000,
+});
+
 module.exports = {
   collectSocialSignals,
+  accountTierOf,
   TIER1_KOLS,
   TIER2_KOLS,
   RESEARCH_ACCOUNTS,
@@ -0,0 +1,351 @@
+/**
+ * JSON Storage Adapter — file persistence for signals and narratives
+ *
+ * Stores timestamped snapshots of collected signals and detected narratives.
+ * Simple file-based approach — no database needed. This is the default adapter.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// Parsed latest-pointer files, keyed by path and invalidated on mtime/size change
+const latestCache = new Map();
+
+/**
+ * Read a JSON file, reusing the parsed result while the file is unchanged
+ */
+function readJsonCached(filepath) {
+  const stat = fs.statSync(filepath);
+  const cached = latestCache.get(filepath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.data;
+  }
+
+  const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  latestCache.set(filepath, { mtimeMs: stat.mtimeMs, size: stat.size, data });
+  return data;
+}
+
+/**
+ * List timestamped snapshot files for a kind, newest first
+ * @param {'signals'|'narratives'} kind
+ * @param {string} [dir=DATA_DIR]
+ * @returns {Array<string>} Filenames
+ */
+function listSnapshotFiles(kind, dir = DATA_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => f.startsWith(`${kind}_`) && f.endsWith('.json') && f !== `${kind}_latest.json`)
+    .sort()
+    .reverse();
+}
+
+/**
+ * Save signals snapshot
+ * @param {Array} signals - Normalized signals
+ * @param {Object} [meta] - Additional metadata
+ */
+function saveSignals(signals, meta = {}) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `signals_${timestamp}.json`;
+  const filepath = path.join(DATA_DIR, filename);
+
+  const data = {
+    timestamp: new Date().toISOString(),
+    signalCount: signals.length,
+    ...meta,
+    signals,
+  };
+
+  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+  console.log(`[Storage] Saved ${signals.length} signals → ${filename}`);
+
+  // Also update latest pointer
+  fs.writeFileSync(
+    path.join(DATA_DIR, 'signals_latest.json'),
+    JSON.stringify(data, null, 2)
+  );
+
+  return filepath;
+}
+
+/**
+ * Save narrative analysis results
+ * @param {Array} narratives - Scored narratives with build ideas
+ * @param {Object} stats - Signal statistics
+ * @param {Object} [meta] - Run metadata (e.g. validationFailures)
+ */
+function saveNarratives(narratives, stats = {}, meta = {}) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `narratives_${timestamp}.json`;
+  const filepath = path.join(DATA_DIR, filename);
+
+  const data = {
+    timestamp: new Date().toISOString(),
+    narrativeCount: narratives.length,
+    stats,
+    ...meta,
+    narratives,
+  };
+
+  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+  console.log(`[Storage] Saved ${narratives.length} narratives → ${filename}`);
+
+  // Also update latest pointer
+  fs.writeFileSync(
+    path.join(DATA_DIR, 'narratives_latest.json'),
+    JSON.stringify(data, null, 2)
+  );
+
+  return filepath;
+}
+
+/**
+ * Load the latest signals
+ * @returns {Object|null}
+ */
+function loadLatestSignals() {
+  const filepath = path.join(DATA_DIR, 'signals_latest.json');
+  if (!fs.existsSync(filepath)) return null;
+
+  try {
+    return readJsonCached(filepath);
+  } catch (err) {
+    console.error('[Storage] Error loading signals:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Load the latest narratives
+ * @returns {Object|null}
+ */
+function loadLatestNarratives() {
+  const filepath = path.join(DATA_DIR, 'narratives_latest.json');
+  if (!fs.existsSync(filepath)) return null;
+
+  try {
+    return readJsonCached(filepath);
+  } catch (err) {
+    console.error('[Storage] Error loading narratives:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Load all signal snapshots (for historical comparison)
+ * @param {number} [limit=10] - Max snapshots to load
+ * @returns {Array}
+ */
+function loadSignalHistory(limit = 10) {
+  const files = listSnapshotFiles('signals').slice(0, limit);
+
+  return files.map(f => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(DATA_DIR, f), 'utf8'));
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Load all narrative snapshots
+ * @param {number} [limit=10]
+ * @returns {Array}
+ */
+function loadNarrativeHistory(limit = 10) {
+  const files = listSnapshotFiles('narratives').slice(0, limit);
+
+  return files.map(f => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(DATA_DIR, f), 'utf8'));
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+// ==========================================
+// Snapshot Management (used by retention)
+// ==========================================
+
+/**
+ * Recover the ISO timestamp encoded in a snapshot filename
+ * (signals_2026-03-01T06-00-00-123Z.json → 2026-03-01T06:00:00.123Z)
+ */
+function timestampFromFilename(file) {
+  const match = file.match(/_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/);
+  if (!match) return null;
+  const [, date, h, m, s, ms] = match;
+  return `${date}T${h}:${m}:${s}.${ms}Z`;
+}
+
+/**
+ * List stored snapshots of a kind, newest first
+ * @param {'signals'|'narratives'} kind
+ * @returns {Array} [{ ref, timestamp, bytes }]
+ */
+function listSnapshots(kind) {
+  return listSnapshotFiles(kind)
+    .map(file => ({
+      ref: file,
+      timestamp: timestampFromFilename(file),
+      bytes: fs.statSync(path.join(DATA_DIR, file)).size,
+    }))
+    .filter(s => s.timestamp);
+}
+
+/**
+ * Load one snapshot by ref (filename)
+ */
+function loadSnapshot(kind, ref) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, ref), 'utf8'));
+}
+
+/**
+ * Delete one snapshot by ref (filename)
+ */
+function deleteSnapshot(kind, ref) {
+  fs.unlinkSync(path.join(DATA_DIR, ref));
+}
+
+/**
+ * Rewrite a snapshot without pretty-printing
+ * @returns {number} Bytes saved
+ */
+function compactSnapshot(kind, ref) {
+  const filepath = path.join(DATA_DIR, ref);
+  const before = fs.statSync(filepath).size;
+  const compact = JSON.stringify(JSON.parse(fs.readFileSync(filepath, 'utf8')));
+  if (Buffer.byteLength(compact) >= before) return 0;
+
+  fs.writeFileSync(filepath, compact);
+  return before - Buffer.byteLength(compact);
+}
+
+// ==========================================
+// Rolling Signal Window
+// ==========================================
+
+const WINDOW_FILE = path.join(DATA_DIR, 'signal_window.json');
+
+/**
+ * Replace the rolling signal window
+ * @param {Array} signals - Accumulated signals (with firstSeen / lastSeen / sightings)
+ * @param {Object} [meta] - e.g. { windowDays }
+ */
+function saveSignalWindow(signals, meta = {}) {
+  const data = {
+    timestamp: new Date().toISOString(),
+    signalCount: signals.length,
+    ...meta,
+    signals,
+  };
+
+  fs.writeFileSync(WINDOW_FILE, JSON.stringify(data, null, 2));
+  console.log(`[Storage] Signal window updated → ${signals.length} signals`);
+  return WINDOW_FILE;
+}
+
+/**
+ * Load the rolling signal window
+ * @returns {Object|null}
+ */
+function loadSignalWindow() {
+  if (!fs.existsSync(WINDOW_FILE)) return null;
+
+  try {
+    return readJsonCached(WINDOW_FILE);
+  } catch (err) {
+    console.error('[Storage] Error loading signal window:', err.message);
+    return null;
+  }
+}
+
+// ==========================================
+// Pipeline Jobs
+// ==========================================
+
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+const MAX_STORED_JOBS = 200;
+
+function readJobs() {
+  if (!fs.existsSync(JOBS_FILE)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+  } catch (err) {
+    console.error('[Storage] Error loading jobs:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Insert or update a pipeline job record
+ * @param {Object} job
+ */
+function saveJob(job) {
+  const jobs = readJobs().filter(j => j.id !== job.id);
+  jobs.unshift(job);
+  jobs.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  fs.writeFileSync(JOBS_FILE, JSON.stringify(jobs.slice(0, MAX_STORED_JOBS), null, 2));
+}
+
+/**
+ * Load a single job by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function loadJob(id) {
+  return readJobs().find(j => j.id === id) || null;
+}
+
+/**
+ * Load recent jobs, newest first
+ * @param {number} [limit=20]
+ * @returns {Array}
+ */
+function loadJobs(limit = 20) {
+  return readJobs().slice(0, limit);
+}
+
+/**
+ * Get storage stats
+ */
+function getStorageStats() {
+  return {
+    signalSnapshots: listSnapshotFiles('signals').length,
+    narrativeSnapshots: listSnapshotFiles('narratives').length,
+    hasLatestSignals: fs.existsSync(path.join(DATA_DIR, 'signals_latest.json')),
+    hasLatestNarratives: fs.existsSync(path.join(DATA_DIR, 'narratives_latest.json')),
+    hasSignalWindow: fs.existsSync(WINDOW_FILE),
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  listSnapshotFiles,
+  saveSignals,
+  saveNarratives,
+  loadLatestSignals,
+  loadLatestNarratives,
+  loadSignalHistory,
+  loadNarrativeHistory,
+  saveSignalWindow,
+  loadSignalWindow,
+  listSnapshots,
+  loadSnapshot,
+  deleteSnapshot,
+  compactSnapshot,
+  saveJob,
+  loadJob,
+  loadJobs,
+  getStorageStats,
+};
@@ -0,0 +1,69 @@
+/**
+ * Migration — import an existing data/ directory of JSON snapshots into SQLite
+ *
+ * Usage:
+ *   npm run migrate:sqlite                 # imports ./data
+ *   npm run migrate:sqlite -- /path/to/data
+ *
+ * Snapshots keep their original timestamps. Re-running is safe: snapshots
+ * already present in the database are skipped.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { DATA_DIR, listSnapshotFiles } = require('./json-store');
+
+/**
+ * Import every signal and narrative snapshot from a directory
+ * @param {string} [dir=DATA_DIR]
+ * @returns {Object} { imported, skipped, failed } counts per kind
+ */
+function migrateJsonToSqlite(dir = DATA_DIR) {
+  const sqlite = require('./sqlite-store');
+  const summary = {};
+
+  for (const kind of ['signals', 'narratives']) {
+    summary[kind] = { imported: 0, skipped: 0, failed: 0 };
+
+    // Oldest first so run ids follow chronological order
+    const files = listSnapshotFiles(kind, dir).reverse();
+
+    for (const file of files) {
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const runId = sqlite.importSnapshot(kind, snapshot);
+        if (runId) summary[kind].imported++;
+        else summary[kind].skipped++;
+      } catch (err) {
+        console.error(`[Migrate] Failed to import ${file}:`, err.message);
+        summary[kind].failed++;
+      }
+    }
+
+    console.log(`[Migrate] ${kind}: ${summary[kind].imported} imported, ${summary[kind].skipped} already present, ${summary[kind].failed} failed`);
+  }
+
+  // Rolling signal window (if the JSON install has one)
+  const windowFile = path.join(dir, 'signal_window.json');
+  if (fs.existsSync(windowFile)) {
+    try {
+      const { signals, signalCount, ...meta } = JSON.parse(fs.readFileSync(windowFile, 'utf8'));
+      sqlite.saveSignalWindow(signals || [], meta);
+      summary.window = { imported: (signals || []).length };
+    } catch (err) {
+      console.error('[Migrate] Failed to import signal window:', err.message);
+    }
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const dir = path.resolve(process.argv[2] || DATA_DIR);
+  console.log(`[Migrate] Importing JSON snapshots from ${dir} → ${require('./sqlite-store').DB_PATH}`);
+  migrateJsonToSqlite(dir);
+  require('./sqlite-store').close();
+}
+
+module.exports = { migrateJsonToSqlite };
@@ -0,0 +1,202 @@
+/**
+ * Retention — keep the data directory from growing forever
+ *
+ * Policy (configurable via env):
+ * - RETENTION_KEEP_ALL_DAYS (30)     — every snapshot younger than this is kept as-is
+ * - RETENTION_KEEP_WEEKLY_DAYS (365) — beyond that, the newest signal snapshot of each
+ *                                      week is kept; up to this age
+ *
+ * Signal snapshots that fall outside the policy are not thrown away: they are
+ * moved into gzipped monthly archives (data/archive/signals_YYYY-MM.jsonl.gz,
+ * one snapshot per line). Narrative snapshots are small and feed history,
+ * lineage and idea tracking, so they are always kept; past the keep-all
+ * window they are only compacted (re-written without pretty-printing).
+ *
+ * Usage:
+ *   npm run retention -- --dry-run    # report what would change
+ *   npm run retention                 # apply
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { getAdapter } = require('./store');
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'data', 'archive');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current retention policy
+ */
+function getRetentionPolicy() {
+  return {
+    keepAllDays: parseInt(process.env.RETENTION_KEEP_ALL_DAYS) || 30,
+    keepWeeklyDays: parseInt(process.env.RETENTION_KEEP_WEEKLY_DAYS) || 365,
+  };
+}
+
+/**
+ * Week bucket (Monday-based) for a timestamp
+ */
+function weekKey(timestamp) {
+  // Epoch day 0 was a Thursday; shift by 3 so buckets start on Monday
+  return Math.floor((new Date(timestamp).getTime() / DAY_MS + 3) / 7);
+}
+
+/**
+ * Decide what happens to each stored snapshot (no changes are made)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.policy]
+ * @returns {Object} Plan: { policy, signals: { keep, archive }, narratives: { keep, compact } }
+ */
+function planRetention({ now = new Date(), policy = getRetentionPolicy() } = {}) {
+  const adapter = getAdapter();
+  const keepAllCutoff = now.getTime() - policy.keepAllDays * DAY_MS;
+  const keepWeeklyCutoff = now.getTime() - policy.keepWeeklyDays * DAY_MS;
+
+  const plan = {
+    policy,
+    generatedAt: now.toISOString(),
+    signals: { keep: [], archive: [] },
+    narratives: { keep: [], compact: [] },
+  };
+
+  // Signals — newest first, so the first snapshot seen in each week is that week's keeper
+  const keptWeeks = new Set();
+  for (const snap of adapter.listSnapshots('signals')) {
+    const ts = new Date(snap.timestamp).getTime();
+    if (ts >= keepAllCutoff) {
+      plan.signals.keep.push({ ...snap, reason: 'recent' });
+      continue;
+    }
+
+    const week = weekKey(snap.timestamp);
+    if (ts >= keepWeeklyCutoff && !keptWeeks.has(week)) {
+      keptWeeks.add(week);
+      plan.signals.keep.push({ ...snap, reason: 'weekly' });
+      continue;
+    }
+
+    plan.signals.archive.push({ ...snap, reason: ts >= keepWeeklyCutoff ? 'not weekly keeper' : 'expired' });
+  }
+
+  // Narratives — always kept, compacted once past the keep-all window
+  for (const snap of adapter.listSnapshots('narratives')) {
+    const ts = new Date(snap.timestamp).getTime();
+    if (ts >= keepAllCutoff) plan.narratives.keep.push(snap);
+    else plan.narratives.compact.push(snap);
+  }
+
+  return plan;
+}
+
+/**
+ * Summarize a plan for logs / the API dry-run report
+ */
+function summarizePlan(plan) {
+  const sum = (list) => list.reduce((total, s) => total + (s.bytes || 0), 0);
+  return {
+    policy: plan.policy,
+    generatedAt: plan.generatedAt,
+    signals: {
+      keep: plan.signals.keep.length,
+      archive: plan.signals.archive.length,
+      archiveBytes: sum(plan.signals.archive),
+      toArchive: plan.signals.archive.map(s => ({ ref: s.ref, timestamp: s.timestamp, reason: s.reason })),
+    },
+    narratives: {
+      keep: plan.narratives.keep.length,
+      compact: plan.narratives.compact.length,
+    },
+  };
+}
+
+/**
+ * Append a snapshot to its monthly gzip archive (gzip members concatenate)
+ */
+function archiveSnapshot(kind, snapshot, timestamp) {
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  const file = path.join(ARCHIVE_DIR, `${kind}_${timestamp.substring(0, 7)}.jsonl.gz`);
+  fs.appendFileSync(file, zlib.gzipSync(JSON.stringify(snapshot) + '\n'));
+  return file;
+}
+
+/**
+ * Read every snapshot stored in an archive file
+ * @param {string} file
+ * @returns {Array}
+ */
+function readArchive(file) {
+  return zlib.gunzipSync(fs.readFileSync(file))
+    .toString('utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Apply the retention policy
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @returns {Object} Plan summary (plus bytes saved when applied)
+ */
+function applyRetention({ dryRun = false, now = new Date() } = {}) {
+  const plan = planRetention({ now });
+  const summary = summarizePlan(plan);
+
+  console.log(`[Retention] ${dryRun ? 'Dry run — ' : ''}policy: keep all ${plan.policy.keepAllDays}d, weekly ${plan.policy.keepWeeklyDays}d`);
+  console.log(`[Retention] Signals: keep ${summary.signals.keep}, archive ${summary.signals.archive} (${Math.round(summary.signals.archiveBytes / 1024)} KB)`);
+  console.log(`[Retention] Narratives: keep ${summary.narratives.keep}, compact ${summary.narratives.compact}`);
+
+  if (dryRun) return { ...summary, dryRun: true };
+
+  const adapter = getAdapter();
+  let archived = 0;
+  let compactedBytes = 0;
+
+  // Oldest first so archive lines stay chronological
+  for (const snap of [...plan.signals.archive].reverse()) {
+    try {
+      const snapshot = adapter.loadSnapshot('signals', snap.ref);
+      if (snapshot) archiveSnapshot('signals', snapshot, snap.timestamp);
+      adapter.deleteSnapshot('signals', snap.ref);
+      archived++;
+    } catch (err) {
+      console.error(`[Retention] Failed to archive signals snapshot ${snap.ref}:`, err.message);
+    }
+  }
+
+  for (const snap of plan.narratives.compact) {
+    try {
+      compactedBytes += adapter.compactSnapshot('narratives', snap.ref);
+    } catch (err) {
+      console.error(`[Retention] Failed to compact narratives snapshot ${snap.ref}:`, err.message);
+    }
+  }
+
+  if (archived > 0 && typeof adapter.vacuum === 'function') adapter.vacuum();
+
+  console.log(`[Retention] Archived ${archived} signal snapshots, compacted narratives (saved ${Math.round(compactedBytes / 1024)} KB)`);
+  return { ...summary, dryRun: false, archived, compactedBytes };
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const dryRun = process.argv.includes('--dry-run');
+  const result = applyRetention({ dryRun });
+  if (dryRun) {
+    for (const s of result.signals.toArchive) {
+      console.log(`  would archive ${s.ref} (${s.timestamp}, ${s.reason})`);
+    }
+  }
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  getRetentionPolicy,
+  planRetention,
+  summarizePlan,
+  applyRetention,
+  readArchive,
+};
@@ -0,0 +1,477 @@
+/**
+ * SQLite Storage Adapter — embedded database persistence
+ *
+ * Same interface as the JSON adapter, backed by a single SQLite file
+ * (data/radar.db, override with SQLITE_PATH). Signals, narratives,
+ * build ideas and runs live in separate tables so they can be queried
+ * directly; each row keeps its full JSON payload in `data` so snapshots
+ * round-trip exactly.
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DB_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'radar.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind        TEXT NOT NULL CHECK (kind IN ('signals', 'narratives')),
+    timestamp   TEXT NOT NULL,
+    item_count  INTEGER NOT NULL DEFAULT 0,
+    meta        TEXT NOT NULL DEFAULT '{}',
+    UNIQUE (kind, timestamp)
+  );
+
+  CREATE TABLE IF NOT EXISTS signals (
+    run_id      INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    position    INTEGER NOT NULL,
+    id          TEXT NOT NULL,
+    source      TEXT,
+    sub_source  TEXT,
+    signal_type TEXT,
+    date        TEXT,
+    username    TEXT,
+    title       TEXT,
+    data        TEXT NOT NULL,
+    PRIMARY KEY (run_id, position)
+  );
+  CREATE INDEX IF NOT EXISTS idx_signals_id ON signals (id);
+  CREATE INDEX IF NOT EXISTS idx_signals_source ON signals (source, date);
+
+  CREATE TABLE IF NOT EXISTS narratives (
+    run_id      INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    position    INTEGER NOT NULL,
+    id          TEXT,
+    rank        INTEGER,
+    name        TEXT,
+    stage       TEXT,
+    velocity    TEXT,
+    total_score REAL,
+    data        TEXT NOT NULL,
+    PRIMARY KEY (run_id, position)
+  );
+  CREATE INDEX IF NOT EXISTS idx_narratives_id ON narratives (id);
+
+  CREATE TABLE IF NOT EXISTS build_ideas (
+    run_id             INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    narrative_position INTEGER NOT NULL,
+    narrative_id       TEXT,
+    position           INTEGER NOT NULL,
+    name               TEXT,
+    difficulty         TEXT,
+    data               TEXT NOT NULL,
+    PRIMARY KEY (run_id, narrative_position, position)
+  );
+  CREATE INDEX IF NOT EXISTS idx_build_ideas_narrative ON build_ideas (narrative_id);
+
+  CREATE TABLE IF NOT EXISTS signal_window (
+    id          TEXT PRIMARY KEY,
+    source      TEXT,
+    date        TEXT,
+    first_seen  TEXT,
+    last_seen   TEXT,
+    sightings   INTEGER,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_signal_window_last_seen ON signal_window (last_seen);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key         TEXT PRIMARY KEY,
+    value       TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS jobs (
+    id          TEXT PRIMARY KEY,
+    type        TEXT NOT NULL,
+    state       TEXT NOT NULL,
+    created_at  TEXT NOT NULL,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_jobs_created ON jobs (created_at);
+`;
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  return db;
+}
+
+// ==========================================
+// Writes
+// ==========================================
+
+/**
+ * Insert a full snapshot (run row + items) in one transaction
+ * @param {'signals'|'narratives'} kind
+ * @param {string} timestamp - ISO timestamp of the snapshot
+ * @param {Array} items - Signals or narratives
+ * @param {Object} meta - Remaining snapshot fields (stats, dayRange, ...)
+ * @returns {number|null} Run id, or null if a snapshot with this timestamp already exists
+ */
+function insertSnapshot(kind, timestamp, items, meta) {
+  const conn = getDb();
+
+  const insertRun = conn.prepare(
+    'INSERT OR IGNORE INTO runs (kind, timestamp, item_count, meta) VALUES (?, ?, ?, ?)'
+  );
+  const insertSignal = conn.prepare(`
+    INSERT INTO signals (run_id, position, id, source, sub_source, signal_type, date, username, title, data)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertNarrative = conn.prepare(`
+    INSERT INTO narratives (run_id, position, id, rank, name, stage, velocity, total_score, data)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertIdea = conn.prepare(`
+    INSERT INTO build_ideas (run_id, narrative_position, narrative_id, position, name, difficulty, data)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const write = conn.transaction(() => {
+    const info = insertRun.run(kind, timestamp, items.length, JSON.stringify(meta || {}));
+    if (info.changes === 0) return null;
+    const runId = Number(info.lastInsertRowid);
+
+    items.forEach((item, i) => {
+      if (kind === 'signals') {
+        insertSignal.run(
+          runId, i, item.id, item.source || null, item.subSource || null, item.signalType || null,
+          item.date || null, item.username || null, item.title || null, JSON.stringify(item)
+        );
+        return;
+      }
+
+      const { buildIdeas, ...narrative } = item;
+      insertNarrative.run(
+        runId, i, narrative.id || null, narrative.rank ?? null, narrative.name || null,
+        narrative.stage || null, narrative.velocity || null, narrative.totalScore ?? null,
+        JSON.stringify(narrative)
+      );
+      (buildIdeas || []).forEach((idea, j) => {
+        insertIdea.run(runId, i, narrative.id || null, j, idea.name || null, idea.difficulty || null, JSON.stringify(idea));
+      });
+    });
+
+    return runId;
+  });
+
+  return write();
+}
+
+/**
+ * Save signals snapshot
+ * @param {Array} signals - Normalized signals
+ * @param {Object} [meta] - Additional metadata
+ */
+function saveSignals(signals, meta = {}) {
+  const runId = insertSnapshot('signals', new Date().toISOString(), signals, meta);
+  console.log(`[Storage] Saved ${signals.length} signals → sqlite run #${runId}`);
+  return runId;
+}
+
+/**
+ * Save narrative analysis results
+ * @param {Array} narratives - Scored narratives with build ideas
+ * @param {Object} stats - Signal statistics
+ * @param {Object} [meta] - Run metadata (e.g. validationFailures)
+ */
+function saveNarratives(narratives, stats = {}, meta = {}) {
+  const runId = insertSnapshot('narratives', new Date().toISOString(), narratives, { stats, ...meta });
+  console.log(`[Storage] Saved ${narratives.length} narratives → sqlite run #${runId}`);
+  return runId;
+}
+
+/**
+ * Import an existing snapshot object (as written by the JSON adapter)
+ * keeping its original timestamp. Used by the data/ migration.
+ * @param {'signals'|'narratives'} kind
+ * @param {Object} snapshot
+ * @returns {number|null} Run id, or null if already imported
+ */
+function importSnapshot(kind, snapshot) {
+  const { timestamp, signals, narratives, signalCount, narrativeCount, ...meta } = snapshot;
+  const items = (kind === 'signals' ? signals : narratives) || [];
+  return insertSnapshot(kind, timestamp, items, meta);
+}
+
+// ==========================================
+// Reads
+// ==========================================
+
+function parseRows(rows) {
+  return rows.map(r => JSON.parse(r.data));
+}
+
+/**
+ * Rebuild the snapshot object for a run row (same shape as the JSON adapter)
+ */
+function hydrateRun(run) {
+  const conn = getDb();
+  const meta = JSON.parse(run.meta || '{}');
+
+  if (run.kind === 'signals') {
+    const signals = parseRows(
+      conn.prepare('SELECT data FROM signals WHERE run_id = ? ORDER BY position').all(run.id)
+    );
+    return { timestamp: run.timestamp, signalCount: run.item_count, ...meta, signals };
+  }
+
+  const ideaRows = conn.prepare(
+    'SELECT narrative_position, data FROM build_ideas WHERE run_id = ? ORDER BY narrative_position, position'
+  ).all(run.id);
+  const ideasByNarrative = new Map();
+  for (const row of ideaRows) {
+    if (!ideasByNarrative.has(row.narrative_position)) ideasByNarrative.set(row.narrative_position, []);
+    ideasByNarrative.get(row.narrative_position).push(JSON.parse(row.data));
+  }
+
+  const narratives = conn.prepare(
+    'SELECT position, data FROM narratives WHERE run_id = ? ORDER BY position'
+  ).all(run.id).map(row => ({
+    ...JSON.parse(row.data),
+    buildIdeas: ideasByNarrative.get(row.position) || [],
+  }));
+
+  return { timestamp: run.timestamp, narrativeCount: run.item_count, ...meta, narratives };
+}
+
+function loadRuns(kind, limit) {
+  return getDb()
+    .prepare('SELECT * FROM runs WHERE kind = ? ORDER BY timestamp DESC, id DESC LIMIT ?')
+    .all(kind, limit);
+}
+
+function loadLatest(kind) {
+  try {
+    const [run] = loadRuns(kind, 1);
+    return run ? hydrateRun(run) : null;
+  } catch (err) {
+    console.error(`[Storage] Error loading ${kind}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Load the latest signals
+ * @returns {Object|null}
+ */
+function loadLatestSignals() {
+  return loadLatest('signals');
+}
+
+/**
+ * Load the latest narratives
+ * @returns {Object|null}
+ */
+function loadLatestNarratives() {
+  return loadLatest('narratives');
+}
+
+/**
+ * Load signal snapshots (for historical comparison)
+ * @param {number} [limit=10] - Max snapshots to load
+ * @returns {Array}
+ */
+function loadSignalHistory(limit = 10) {
+  return loadRuns('signals', limit).map(hydrateRun);
+}
+
+/**
+ * Load narrative snapshots
+ * @param {number} [limit=10]
+ * @returns {Array}
+ */
+function loadNarrativeHistory(limit = 10) {
+  return loadRuns('narratives', limit).map(hydrateRun);
+}
+
+// ==========================================
+// Snapshot Management (used by retention)
+// ==========================================
+
+/**
+ * List stored snapshots of a kind, newest first
+ * @param {'signals'|'narratives'} kind
+ * @returns {Array} [{ ref, timestamp, bytes }]
+ */
+function listSnapshots(kind) {
+  const table = kind === 'signals' ? 'signals' : 'narratives';
+  return getDb().prepare(`
+    SELECT r.id AS ref, r.timestamp, COALESCE(SUM(LENGTH(t.data)), 0) AS bytes
+    FROM runs r LEFT JOIN ${table} t ON t.run_id = r.id
+    WHERE r.kind = ?
+    GROUP BY r.id
+    ORDER BY r.timestamp DESC, r.id DESC
+  `).all(kind);
+}
+
+/**
+ * Load one snapshot by ref (run id)
+ */
+function loadSnapshot(kind, ref) {
+  const run = getDb().prepare('SELECT * FROM runs WHERE id = ? AND kind = ?').get(ref, kind);
+  return run ? hydrateRun(run) : null;
+}
+
+/**
+ * Delete one snapshot by ref (run id) — items cascade
+ */
+function deleteSnapshot(kind, ref) {
+  getDb().prepare('DELETE FROM runs WHERE id = ? AND kind = ?').run(ref, kind);
+}
+
+/**
+ * Rows are already stored compactly; nothing to rewrite
+ * @returns {number} Bytes saved
+ */
+function compactSnapshot() {
+  return 0;
+}
+
+/**
+ * Reclaim space after bulk deletes
+ */
+function vacuum() {
+  getDb().exec('VACUUM');
+}
+
+// ==========================================
+// Rolling Signal Window
+// ==========================================
+
+/**
+ * Replace the rolling signal window
+ * @param {Array} signals - Accumulated signals (with firstSeen / lastSeen / sightings)
+ * @param {Object} [meta] - e.g. { windowDays }
+ */
+function saveSignalWindow(signals, meta = {}) {
+  const conn = getDb();
+  const insert = conn.prepare(`
+    INSERT INTO signal_window (id, source, date, first_seen, last_seen, sightings, data)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const windowMeta = { timestamp: new Date().toISOString(), ...meta };
+
+  conn.transaction(() => {
+    conn.prepare('DELETE FROM signal_window').run();
+    for (const s of signals) {
+      insert.run(s.id, s.source || null, s.date || null, s.firstSeen || null, s.lastSeen || null, s.sightings || 1, JSON.stringify(s));
+    }
+    conn.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('signal_window', JSON.stringify(windowMeta));
+  })();
+
+  console.log(`[Storage] Signal window updated → ${signals.length} signals`);
+  return signals.length;
+}
+
+/**
+ * Load the rolling signal window
+ * @returns {Object|null}
+ */
+function loadSignalWindow() {
+  try {
+    const conn = getDb();
+    const metaRow = conn.prepare('SELECT value FROM meta WHERE key = ?').get('signal_window');
+    if (!metaRow) return null;
+
+    const signals = parseRows(conn.prepare('SELECT data FROM signal_window ORDER BY date DESC').all());
+    return { ...JSON.parse(metaRow.value), signalCount: signals.length, signals };
+  } catch (err) {
+    console.error('[Storage] Error loading signal window:', err.message);
+    return null;
+  }
+}
+
+// ==========================================
+// Pipeline Jobs
+// ==========================================
+
+/**
+ * Insert or update a pipeline job record
+ * @param {Object} job
+ */
+function saveJob(job) {
+  getDb().prepare(`
+    INSERT INTO jobs (id, type, state, created_at, data) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET state = excluded.state, data = excluded.data
+  `).run(job.id, job.type, job.state, job.createdAt, JSON.stringify(job));
+}
+
+/**
+ * Load a single job by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function loadJob(id) {
+  const row = getDb().prepare('SELECT data FROM jobs WHERE id = ?').get(id);
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Load recent jobs, newest first
+ * @param {number} [limit=20]
+ * @returns {Array}
+ */
+function loadJobs(limit = 20) {
+  return parseRows(
+    getDb().prepare('SELECT data FROM jobs ORDER BY created_at DESC LIMIT ?').all(limit)
+  );
+}
+
+/**
+ * Get storage stats
+ */
+function getStorageStats() {
+  const counts = Object.fromEntries(
+    getDb().prepare('SELECT kind, COUNT(*) AS n FROM runs GROUP BY kind').all().map(r => [r.kind, r.n])
+  );
+
+  return {
+    signalSnapshots: counts.signals || 0,
+    narrativeSnapshots: counts.narratives || 0,
+    hasLatestSignals: !!counts.signals,
+    hasLatestNarratives: !!counts.narratives,
+    hasSignalWindow: !!getDb().prepare('SELECT 1 FROM meta WHERE key = ?').get('signal_window'),
+    dbPath: DB_PATH,
+  };
+}
+
+/**
+ * Close the database handle (used by one-off CLI commands)
+ */
+function close() {
+  if (db) { db.close(); db = null; }
+}
+
+module.exports = {
+  DB_PATH,
+  getDb,
+  saveSignals,
+  saveNarratives,
+  importSnapshot,
+  loadLatestSignals,
+  loadLatestNarratives,
+  loadSignalHistory,
+  loadNarrativeHistory,
+  saveSignalWindow,
+  loadSignalWindow,
+  listSnapshots,
+  loadSnapshot,
+  deleteSnapshot,
+  compactSnapshot,
+  vacuum,
+  saveJob,
+  loadJob,
+  loadJobs,
+  getStorageStats,
+  close,
+};
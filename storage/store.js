@@ -1,176 +1,76 @@
 /**
- * Storage — JSON file persistence for signals and narratives
- * 
- * Stores timestamped snapshots of collected signals and detected narratives.
- * Simple file-based approach — no database needed.
+ * Storage — pluggable persistence for signals and narratives
+ *
+ * Every caller goes through this module; the actual backend is chosen
+ * with STORAGE_ADAPTER:
+ * - json   (default) — timestamped JSON snapshot files in data/
+ * - sqlite — embedded SQLite database (data/radar.db or SQLITE_PATH)
+ *
+ * Adapter interface:
+ *   saveSignals(signals, meta)        saveNarratives(narratives, stats, meta)
+ *   loadLatestSignals()               loadLatestNarratives()
+ *   loadSignalHistory(limit)          loadNarrativeHistory(limit)
+ *   saveSignalWindow(signals, meta)   loadSignalWindow()
+ *   listSnapshots(kind)               loadSnapshot(kind, ref)
+ *   saveJob(job)  loadJob(id)  loadJobs(limit)
+ *   getStorageStats()
  */
-const fs = require('fs');
-const path = require('path');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-/**
- * Save signals snapshot
- * @param {Array} signals - Normalized signals
- * @param {Object} [meta] - Additional metadata
- */
-function saveSignals(signals, meta = {}) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `signals_${timestamp}.json`;
-  const filepath = path.join(DATA_DIR, filename);
-
-  const data = {
-    timestamp: new Date().toISOString(),
-    signalCount: signals.length,
-    ...meta,
-    signals,
-  };
-
-  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-  console.log(`[Storage] Saved ${signals.length} signals → ${filename}`);
-
-  // Also update latest pointer
-  fs.writeFileSync(
-    path.join(DATA_DIR, 'signals_latest.json'),
-    JSON.stringify(data, null, 2)
-  );
-
-  return filepath;
-}
-
-/**
- * Save narrative analysis results
- * @param {Array} narratives - Scored narratives with build ideas
- * @param {Object} stats - Signal statistics
- */
-function saveNarratives(narratives, stats = {}) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `narratives_${timestamp}.json`;
-  const filepath = path.join(DATA_DIR, filename);
-
-  const data = {
-    timestamp: new Date().toISOString(),
-    narrativeCount: narratives.length,
-    stats,
-    narratives,
-  };
-
-  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-  console.log(`[Storage] Saved ${narratives.length} narratives → ${filename}`);
-
-  // Also update latest pointer
-  fs.writeFileSync(
-    path.join(DATA_DIR, 'narratives_latest.json'),
-    JSON.stringify(data, null, 2)
-  );
-
-  return filepath;
-}
-
-/**
- * Load the latest signals
- * @returns {Object|null}
- */
-function loadLatestSignals() {
-  const filepath = path.join(DATA_DIR, 'signals_latest.json');
-  if (!fs.existsSync(filepath)) return null;
+const ADAPTERS = {
+  json: () => require('./json-store'),
+  sqlite: () => require('./sqlite-store'),
+};
 
-  try {
-    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
-  } catch (err) {
-    console.error('[Storage] Error loading signals:', err.message);
-    return null;
-  }
-}
+let adapter = null;
+let adapterName = null;
 
 /**
- * Load the latest narratives
- * @returns {Object|null}
+ * Resolve the configured adapter (loaded lazily so the SQLite driver is
+ * only required when it is actually selected)
  */
-function loadLatestNarratives() {
-  const filepath = path.join(DATA_DIR, 'narratives_latest.json');
-  if (!fs.existsSync(filepath)) return null;
+function getAdapter() {
+  if (adapter) return adapter;
 
-  try {
-    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
-  } catch (err) {
-    console.error('[Storage] Error loading narratives:', err.message);
-    return null;
+  const name = (process.env.STORAGE_ADAPTER || 'json').toLowerCase().trim();
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${name}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
   }
-}
-
-/**
- * Load all signal snapshots (for historical comparison)
- * @param {number} [limit=10] - Max snapshots to load
- * @returns {Array}
- */
-function loadSignalHistory(limit = 10) {
-  if (!fs.existsSync(DATA_DIR)) return [];
-
-  const files = fs.readdirSync(DATA_DIR)
-    .filter(f => f.startsWith('signals_') && f !== 'signals_latest.json')
-    .sort()
-    .reverse()
-    .slice(0, limit);
 
-  return files.map(f => {
-    try {
-      return JSON.parse(fs.readFileSync(path.join(DATA_DIR, f), 'utf8'));
-    } catch {
-      return null;
-    }
-  }).filter(Boolean);
+  adapter = ADAPTERS[name]();
+  adapterName = name;
+  return adapter;
 }
 
-/**
- * Load all narrative snapshots
- * @param {number} [limit=10]
- * @returns {Array}
- */
-function loadNarrativeHistory(limit = 10) {
-  if (!fs.existsSync(DATA_DIR)) return [];
-
-  const files = fs.readdirSync(DATA_DIR)
-    .filter(f => f.startsWith('narratives_') && f !== 'narratives_latest.json')
-    .sort()
-    .reverse()
-    .slice(0, limit);
-
-  return files.map(f => {
-    try {
-      return JSON.parse(fs.readFileSync(path.join(DATA_DIR, f), 'utf8'));
-    } catch {
-      return null;
-    }
-  }).filter(Boolean);
+function getAdapterName() {
+  getAdapter();
+  return adapterName;
 }
 
 /**
- * Get storage stats
+ * The signal corpus analysis and the API work on: the rolling window,
+ * falling back to the latest collection snapshot
+ * @returns {Object|null}
  */
-function getStorageStats() {
-  if (!fs.existsSync(DATA_DIR)) return { signalSnapshots: 0, narrativeSnapshots: 0 };
-
-  const files = fs.readdirSync(DATA_DIR);
-  return {
-    signalSnapshots: files.filter(f => f.startsWith('signals_') && f !== 'signals_latest.json').length,
-    narrativeSnapshots: files.filter(f => f.startsWith('narratives_') && f !== 'narratives_latest.json').length,
-    hasLatestSignals: fs.existsSync(path.join(DATA_DIR, 'signals_latest.json')),
-    hasLatestNarratives: fs.existsSync(path.join(DATA_DIR, 'narratives_latest.json')),
-  };
+function loadCurrentSignals() {
+  return getAdapter().loadSignalWindow() || getAdapter().loadLatestSignals();
 }
 
 module.exports = {
-  saveSignals,
-  saveNarratives,
-  loadLatestSignals,
-  loadLatestNarratives,
-  loadSignalHistory,
-  loadNarrativeHistory,
-  getStorageStats,
+  getAdapter,
+  getAdapterName,
+  saveSignals: (signals, meta) => getAdapter().saveSignals(signals, meta),
+  saveNarratives: (narratives, stats, meta) => getAdapter().saveNarratives(narratives, stats, meta),
+  loadLatestSignals: () => getAdapter().loadLatestSignals(),
+  loadLatestNarratives: () => getAdapter().loadLatestNarratives(),
+  loadSignalHistory: (limit) => getAdapter().loadSignalHistory(limit),
+  loadNarrativeHistory: (limit) => getAdapter().loadNarrativeHistory(limit),
+  saveSignalWindow: (signals, meta) => getAdapter().saveSignalWindow(signals, meta),
+  loadSignalWindow: () => getAdapter().loadSignalWindow(),
+  loadCurrentSignals,
+  listSnapshots: (kind) => getAdapter().listSnapshots(kind),
+  loadSnapshot: (kind, ref) => getAdapter().loadSnapshot(kind, ref),
+  saveJob: (job) => getAdapter().saveJob(job),
+  loadJob: (id) => getAdapter().loadJob(id),
+  loadJobs: (limit) => getAdapter().loadJobs(limit),
+  getStorageStats: () => ({ adapter: getAdapterName(), ...getAdapter().getStorageStats() }),
 };